@@ -0,0 +1,182 @@
+// Plan catalog
+// - maps Shopify country codes to shipping regions
+// - resolves primary and addon Chargebee plans of a region
+//
+// Plan ids start with the term and carry the region token as a segment,
+// e.g. 1-month-usa-new, 12-month-international. Addon plans are tagged on
+// Chargebee with meta_data.plan_type set to the region token.
+//
+// To add a region (e.g. Canada) add it below with its country codes and
+// create its plans on Chargebee using the region token.
+
+// Shipping regions
+// - countries: Shopify country codes of the region
+// - fallback: region used for every country not listed on another region
+// - label: used on customer messages ("You chose a domestic plan")
+const REGIONS = [
+	{
+		id: 'usa',
+		token: 'usa',
+		label: 'domestic',
+		article: 'a',
+		countries: ['US'],
+	},
+	{
+		id: 'international',
+		token: 'international',
+		label: 'international',
+		article: 'an',
+		countries: [],
+		fallback: true,
+	},
+];
+
+// Plan terms (months) offered on every region
+const PLAN_TERMS = [1, 6, 12];
+
+// Catalog errors
+function catalogError(message, status) {
+	const err = new Error(message);
+	err.status = status;
+	return err;
+}
+
+// GET shipping region of a country
+function getRegionForCountry(countryCode) {
+	const code = (countryCode || '').toUpperCase();
+
+	if (!code) {
+		throw catalogError('Please enter a valid address/phone number.', 422);
+	}
+
+	const region =
+		REGIONS.find((f) => f.countries.includes(code)) ||
+		REGIONS.find((f) => f.fallback);
+
+	if (!region) {
+		throw catalogError(
+			`Sorry, we don't ship to your Shipping Address country (${code}) yet.`,
+			422
+		);
+	}
+
+	return region;
+}
+
+// GET region of a plan from its region token
+// Plans without a region token (e.g. legacy plans) -> null
+function getPlanRegion(planId) {
+	const segments = (planId || '').split('-');
+
+	return REGIONS.find((f) => segments.includes(f.token)) || null;
+}
+
+// GET region of a plan -> plans without a region are rejected
+function getKnownPlanRegion(planId) {
+	const region = getPlanRegion(planId);
+
+	if (!region) {
+		throw catalogError(
+			`Unknown shipping region for plan (${planId}).`,
+			422
+		);
+	}
+
+	return region;
+}
+
+// GET the same plan for another region
+function getRegionPlanId(planId, region) {
+	const planRegion = getKnownPlanRegion(planId);
+
+	return planId
+		.split('-')
+		.map((segment) =>
+			segment === planRegion.token ? region.token : segment
+		)
+		.join('-');
+}
+
+// GET term (months) of a plan
+function getPlanTerm(planId) {
+	const term = parseInt((planId || '').split('-')[0], 10);
+
+	if (!PLAN_TERMS.includes(term)) {
+		throw catalogError(`Unknown term for plan (${planId}).`, 422);
+	}
+
+	return term;
+}
+
+// GET the same plan for another term
+function getTermPlanId(planId, term) {
+	const segments = planId.split('-');
+
+	getPlanTerm(planId);
+
+	if (!PLAN_TERMS.includes(term)) {
+		throw catalogError(`Unknown plan term (${term} months).`, 422);
+	}
+
+	return [String(term), ...segments.slice(1)].join('-');
+}
+
+// GET the closest shorter and longer plans of a plan (false if none)
+function getAdjacentTermPlanIds(planId) {
+	const index = PLAN_TERMS.indexOf(getPlanTerm(planId));
+
+	return {
+		shorterPlanId:
+			index > 0 ? getTermPlanId(planId, PLAN_TERMS[index - 1]) : false,
+		longerPlanId:
+			index < PLAN_TERMS.length - 1
+				? getTermPlanId(planId, PLAN_TERMS[index + 1])
+				: false,
+	};
+}
+
+// Validate that the plan ships to the country
+function assertPlanMatchesCountry(planId, countryCode) {
+	const planRegion = getKnownPlanRegion(planId);
+	const addressRegion = getRegionForCountry(countryCode);
+
+	if (planRegion.id !== addressRegion.id) {
+		throw catalogError(
+			`You chose ${planRegion.article} ${planRegion.label} plan but have ${addressRegion.article} ${addressRegion.label} Shipping Address. Please change your plan.`,
+			422
+		);
+	}
+
+	return planRegion;
+}
+
+// Find the addon plan id of a region on Chargebee addon plans list
+function findAddonPlanId(addonPlans, region) {
+	const addonPlan = (addonPlans || []).find(
+		(item) =>
+			// eslint-disable-next-line implicit-arrow-linebreak
+			item &&
+			item.plan &&
+			item.plan.meta_data &&
+			item.plan.meta_data.plan_type === region.token
+	);
+
+	if (!addonPlan || !addonPlan.plan.id) {
+		throw catalogError(`Addon CB plan not found for ${region.id}!`, 500);
+	}
+
+	return addonPlan.plan.id;
+}
+
+module.exports = {
+	REGIONS,
+	PLAN_TERMS,
+	getRegionForCountry,
+	getPlanRegion,
+	getRegionPlanId,
+	getPlanTerm,
+	getTermPlanId,
+	getAdjacentTermPlanIds,
+	assertPlanMatchesCountry,
+	findAddonPlanId,
+};
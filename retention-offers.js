@@ -0,0 +1,115 @@
+// Retention offers shown before cancelling all subscriptions
+// - the cancellation reason picks which offers are shown
+// - each offer is only shown if the member's subscriptions allow it
+//
+// Reasons are matched by slug, e.g. "Too expensive" -> too_expensive.
+// Reasons not listed below get the default offers.
+
+// retention_offers statuses
+const RETENTION_OFFER_STATUS = {
+	offered: 1,
+	accepted: 2,
+	declined: 3,
+};
+
+// Pause lengths (months) offered
+const RETENTION_PAUSE_MONTHS = [1, 2, 3];
+
+// Offers by cancellation reason
+const REASON_OFFERS = {
+	too_expensive: ['discount_coupon', 'longer_term', 'drop_addons', 'pause'],
+	too_many_records: ['drop_addons', 'shorter_term', 'pause'],
+	taking_a_break: ['pause', 'shorter_term'],
+	moving: ['pause'],
+	default: [
+		'discount_coupon',
+		'pause',
+		'shorter_term',
+		'longer_term',
+		'drop_addons',
+	],
+};
+
+// Reason slug
+function getReasonSlug(reason) {
+	return (reason || '')
+		.toLowerCase()
+		.trim()
+		.replace(/[^a-z0-9]+/g, '_')
+		.replace(/^_|_$/g, '');
+}
+
+// Offer builders -> return the offer or false if the member is not eligible
+const OFFER_BUILDERS = {
+	// Discount on the next renewals
+	discount_coupon: ({ primarySubscription }) => {
+		const couponId = process.env.RETENTION_COUPON_ID;
+		const hasCoupon = (primarySubscription.coupons || []).length > 0;
+
+		if (!couponId || hasCoupon) return false;
+
+		return { id: 'discount_coupon', coupon_id: couponId };
+	},
+	// Pause instead of cancelling
+	pause: ({ primarySubscription }) => {
+		if (
+			primarySubscription.status !== 'active' ||
+			primarySubscription.pause_date
+		) {
+			return false;
+		}
+
+		return { id: 'pause', months: RETENTION_PAUSE_MONTHS };
+	},
+	// Switch to the closest shorter term
+	shorter_term: ({ primarySubscription, termPlanIds }) => {
+		if (
+			!termPlanIds.shorterPlanId ||
+			primarySubscription.has_scheduled_changes
+		) {
+			return false;
+		}
+
+		return { id: 'shorter_term', plan_id: termPlanIds.shorterPlanId };
+	},
+	// Switch to the closest longer term
+	longer_term: ({ primarySubscription, termPlanIds }) => {
+		if (
+			!termPlanIds.longerPlanId ||
+			primarySubscription.has_scheduled_changes
+		) {
+			return false;
+		}
+
+		return { id: 'longer_term', plan_id: termPlanIds.longerPlanId };
+	},
+	// Keep the primary subscription and cancel the addons
+	drop_addons: ({ addonSubscriptions }) => {
+		if (addonSubscriptions.length === 0) return false;
+
+		return {
+			id: 'drop_addons',
+			addons: addonSubscriptions.map((f) => ({
+				id: f.id,
+				status: f.status,
+			})),
+		};
+	},
+};
+
+// GET eligible offers for a cancellation reason
+function getEligibleRetentionOffers(obj) {
+	const { reason } = obj;
+	const offerIds =
+		REASON_OFFERS[getReasonSlug(reason)] || REASON_OFFERS.default;
+
+	return offerIds.map((id) => OFFER_BUILDERS[id](obj)).filter((f) => f);
+}
+
+module.exports = {
+	RETENTION_OFFER_STATUS,
+	RETENTION_PAUSE_MONTHS,
+	REASON_OFFERS,
+	getReasonSlug,
+	getEligibleRetentionOffers,
+};
@@ -0,0 +1,27 @@
+-- Cancelled subscriptions (cancellation analytics)
+-- One row per subscription and cancellation date -> a cancellation made
+-- through the controller and its Chargebee webhook are recorded once
+-- month/year are cancelled_on's -> the date the cancellation takes effect
+CREATE TABLE IF NOT EXISTS cancellations (
+	id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+	subscription_id VARCHAR(50) NOT NULL,
+	cb_customer_id VARCHAR(50) NULL,
+	type VARCHAR(20) NULL,
+	reason VARCHAR(100) NULL,
+	comments TEXT NULL,
+	track VARCHAR(50) NULL,
+	plan_id VARCHAR(100) NULL,
+	plan_term TINYINT UNSIGNED NULL,
+	tenure_months SMALLINT UNSIGNED NULL,
+	addon_count TINYINT UNSIGNED NOT NULL DEFAULT 0,
+	rotm INT UNSIGNED NULL,
+	month TINYINT UNSIGNED NOT NULL,
+	year SMALLINT UNSIGNED NOT NULL,
+	cancelled_on DATE NOT NULL,
+	source VARCHAR(20) NOT NULL,
+	request_id VARCHAR(100) NULL,
+	created_at DATETIME NOT NULL,
+	PRIMARY KEY (id),
+	UNIQUE KEY cancellations_subscription_date (subscription_id, cancelled_on),
+	KEY cancellations_year_month (year, month)
+);
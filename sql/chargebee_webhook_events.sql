@@ -0,0 +1,19 @@
+-- Received Chargebee webhook events (handleChargebeeWebhook)
+-- - event_id is unique -> duplicate deliveries are skipped
+-- - occurred_at: Chargebee event time (unix seconds), events older than the
+--   subscription's last received one are recorded as out_of_order
+-- - outcome: processed, inventory_already_applied or out_of_order
+CREATE TABLE IF NOT EXISTS chargebee_webhook_events (
+	id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+	event_id VARCHAR(100) NOT NULL,
+	event_type VARCHAR(100) NOT NULL,
+	subscription_id VARCHAR(50) NOT NULL,
+	source VARCHAR(50) NULL,
+	occurred_at INT UNSIGNED NOT NULL,
+	outcome VARCHAR(30) NOT NULL,
+	created_at DATETIME NOT NULL,
+	status TINYINT NOT NULL DEFAULT 1,
+	PRIMARY KEY (id),
+	UNIQUE KEY chargebee_webhook_events_event_id (event_id),
+	KEY chargebee_webhook_events_subscription (subscription_id, occurred_at)
+);
@@ -0,0 +1,19 @@
+-- Gift subscriptions bought on the store and redeemed by the recipient (redeemGift)
+CREATE TABLE IF NOT EXISTS gifts (
+	id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+	code VARCHAR(100) NOT NULL,
+	plan_id VARCHAR(100) NOT NULL,
+	bundle VARCHAR(100) NULL,
+	gifter_customer_id VARCHAR(50) NULL,
+	gifter_order_id VARCHAR(50) NULL,
+	redeemed_at DATETIME NULL,
+	redeemed_sh_customer_id VARCHAR(50) NULL,
+	redeemed_cb_customer_id VARCHAR(50) NULL,
+	cb_subscription_id VARCHAR(50) NULL,
+	created_at DATETIME NOT NULL,
+	updated_at DATETIME NULL,
+	status TINYINT NOT NULL DEFAULT 1,
+	PRIMARY KEY (id),
+	UNIQUE KEY gifts_code (code),
+	KEY gifts_redeemed_cb_customer_id (redeemed_cb_customer_id)
+);
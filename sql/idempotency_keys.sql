@@ -0,0 +1,18 @@
+-- Idempotency-Key requests and their stored responses (withIdempotencyKey)
+-- Stored on MySQL instead of Redis -> RedisUtil only exposes the VMPQueue
+-- job queue, and the key lock needs an atomic insert-or-take-over
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+	id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+	scope VARCHAR(50) NOT NULL,
+	idempotency_key VARCHAR(255) NOT NULL,
+	body_hash CHAR(64) NOT NULL,
+	status VARCHAR(20) NOT NULL,
+	response_status SMALLINT UNSIGNED NULL,
+	response_body MEDIUMTEXT NULL,
+	locked_until DATETIME NULL,
+	expires_at DATETIME NOT NULL,
+	created_at DATETIME NOT NULL,
+	PRIMARY KEY (id),
+	UNIQUE KEY idempotency_keys_scope_key (scope, idempotency_key),
+	KEY idempotency_keys_expires_at (expires_at)
+);
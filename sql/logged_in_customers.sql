@@ -0,0 +1,10 @@
+-- Logged-in Shopify customer -> Chargebee customer cache (subscriptions-authorization)
+-- Customers without a Chargebee customer are not cached
+CREATE TABLE IF NOT EXISTS logged_in_customers (
+	sh_customer_id VARCHAR(50) NOT NULL,
+	cb_customer_id VARCHAR(50) NOT NULL,
+	email VARCHAR(255) NOT NULL,
+	expires_at DATETIME NOT NULL,
+	PRIMARY KEY (sh_customer_id),
+	KEY logged_in_customers_expires_at (expires_at)
+);
@@ -0,0 +1,23 @@
+-- Membership credits of swaps for credit (issueMembershipCredit, reverseMembershipCredit)
+-- - the balance lives on Chargebee as promotional credits, this is the history
+-- - type: issued (amount > 0) or reversed (amount <= 0, only the unspent
+--   balance is deducted)
+-- - status: 1 open, 2 closed (an issued credit that was reversed)
+-- - amount: in the currency's smallest unit, as sent to Chargebee
+CREATE TABLE IF NOT EXISTS membership_credits (
+	id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+	cb_customer_id VARCHAR(50) NOT NULL,
+	subscription_id VARCHAR(50) NOT NULL,
+	swap_history_id INT UNSIGNED NULL,
+	type VARCHAR(20) NOT NULL,
+	amount INT NOT NULL,
+	cb_promotional_credit_id VARCHAR(50) NULL,
+	request_id VARCHAR(100) NULL,
+	created_at DATETIME NOT NULL,
+	updated_at DATETIME NULL,
+	status TINYINT NOT NULL DEFAULT 1,
+	PRIMARY KEY (id),
+	KEY membership_credits_cb_customer (cb_customer_id),
+	KEY membership_credits_subscription (subscription_id, type, status),
+	KEY membership_credits_swap_history (swap_history_id)
+);
@@ -0,0 +1,21 @@
+-- Retention offers shown before a cancellation (getRetentionOffers)
+-- - status: 1 offered, 2 accepted, 3 declined
+-- - offers: JSON list of the offers shown; accepted_offer is the chosen one
+-- - applied_result: JSON result of the applied offer (e.g. cancelled_addons)
+CREATE TABLE IF NOT EXISTS retention_offers (
+	id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+	subscription_id VARCHAR(50) NOT NULL,
+	cb_customer_id VARCHAR(50) NOT NULL,
+	reason VARCHAR(100) NOT NULL,
+	comments TEXT NULL,
+	offers JSON NOT NULL,
+	accepted_offer VARCHAR(50) NULL,
+	applied_result JSON NULL,
+	request_id VARCHAR(100) NULL,
+	responded_at DATETIME NULL,
+	created_at DATETIME NOT NULL,
+	status TINYINT NOT NULL DEFAULT 1,
+	PRIMARY KEY (id),
+	KEY retention_offers_subscription_status (subscription_id, status),
+	KEY retention_offers_cb_customer_id (cb_customer_id)
+);
@@ -0,0 +1,16 @@
+-- Subscriptions processed by a bulk re-assignment (reassignRotmProduct)
+-- - outcome: dry_run, moved, failed -> error holds the failure message
+-- - swapped: 1 if the member's swap unit was moved, 0 the existingsub unit
+CREATE TABLE IF NOT EXISTS rotm_reassignment_items (
+	id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+	reassignment_id INT UNSIGNED NOT NULL,
+	subscription_id VARCHAR(50) NOT NULL,
+	track VARCHAR(50) NULL,
+	swapped TINYINT NOT NULL DEFAULT 0,
+	outcome VARCHAR(20) NOT NULL,
+	error TEXT NULL,
+	created_at DATETIME NOT NULL,
+	PRIMARY KEY (id),
+	KEY rotm_reassignment_items_reassignment (reassignment_id, outcome),
+	KEY rotm_reassignment_items_subscription (subscription_id)
+);
@@ -0,0 +1,26 @@
+-- Bulk re-assignments of a ROTM product's subscribers (reassignRotmProduct)
+-- - status: running, completed -> a running reassignment is resumed by id
+-- - next_offset: Chargebee list offset of the next batch
+-- - scanned, matched, moved, failed: progress counters of all batches
+-- - every processed subscription is kept on rotm_reassignment_items
+CREATE TABLE IF NOT EXISTS rotm_reassignments (
+	id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+	rotm INT UNSIGNED NOT NULL,
+	source_product_id BIGINT UNSIGNED NOT NULL,
+	target_product_id BIGINT UNSIGNED NOT NULL,
+	target_variant_id BIGINT UNSIGNED NOT NULL,
+	track VARCHAR(50) NULL,
+	dry_run TINYINT NOT NULL DEFAULT 0,
+	next_offset VARCHAR(255) NULL,
+	scanned INT UNSIGNED NOT NULL DEFAULT 0,
+	matched INT UNSIGNED NOT NULL DEFAULT 0,
+	moved INT UNSIGNED NOT NULL DEFAULT 0,
+	failed INT UNSIGNED NOT NULL DEFAULT 0,
+	request_id VARCHAR(100) NULL,
+	created_at DATETIME NOT NULL,
+	updated_at DATETIME NULL,
+	status VARCHAR(20) NOT NULL DEFAULT 'running',
+	PRIMARY KEY (id),
+	KEY rotm_reassignments_rotm_source (rotm, source_product_id),
+	KEY rotm_reassignments_status (status)
+);
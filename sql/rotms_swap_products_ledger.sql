@@ -0,0 +1,20 @@
+-- Inventory ledger -> every rotms_swap_products quantity change (adjustSwapProductInventory)
+-- - bucket: existingsub, newsub or swap; delta: signed change of its quantity
+-- - written on the same transaction as the change it records
+-- - the last returned/taken back entry of a subscription and ROTM tells the
+--   Chargebee webhook if a cancellation/reactivation was already applied
+CREATE TABLE IF NOT EXISTS rotms_swap_products_ledger (
+	id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+	rotm INT UNSIGNED NOT NULL,
+	product_id BIGINT UNSIGNED NULL,
+	bucket VARCHAR(20) NOT NULL,
+	delta INT NOT NULL,
+	reason VARCHAR(100) NOT NULL,
+	subscription_id VARCHAR(50) NULL,
+	request_id VARCHAR(100) NULL,
+	created_at DATETIME NOT NULL,
+	PRIMARY KEY (id),
+	KEY rotms_swap_products_ledger_rotm_product (rotm, product_id),
+	KEY rotms_swap_products_ledger_subscription (subscription_id, rotm),
+	KEY rotms_swap_products_ledger_request (request_id, subscription_id)
+);
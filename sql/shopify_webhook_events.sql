@@ -0,0 +1,11 @@
+-- Received Shopify webhook deliveries (handleShopifyCustomerUpdate)
+-- webhook_id (X-Shopify-Webhook-Id) is unique -> duplicate deliveries are skipped
+-- A failed delivery is deleted, so Shopify's retry is processed
+CREATE TABLE IF NOT EXISTS shopify_webhook_events (
+	id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+	webhook_id VARCHAR(100) NOT NULL,
+	topic VARCHAR(100) NULL,
+	created_at DATETIME NOT NULL,
+	PRIMARY KEY (id),
+	UNIQUE KEY shopify_webhook_events_webhook_id (webhook_id)
+);
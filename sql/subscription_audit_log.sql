@@ -0,0 +1,27 @@
+-- Subscription mutations (recordAuditEntry), read by getAuditLog
+-- - action: e.g. subscription_created, record_swapped, term_changed,
+--   product_reassigned, meta_data_malformed
+-- - actor_type: member, admin or system (webhooks, actor_id is the source)
+-- - before_meta_data, after_meta_data, changes, inventory: JSON text,
+--   inventory is the request's rotms_swap_products_ledger entries
+-- - entries that could not be stored are queued on
+--   record_subscription_audit_entry_job and inserted by the job
+CREATE TABLE IF NOT EXISTS subscription_audit_log (
+	id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+	action VARCHAR(50) NOT NULL,
+	actor_type VARCHAR(20) NOT NULL,
+	actor_id VARCHAR(100) NULL,
+	subscription_id VARCHAR(50) NULL,
+	cb_customer_id VARCHAR(50) NULL,
+	before_meta_data TEXT NULL,
+	after_meta_data TEXT NULL,
+	changes TEXT NULL,
+	inventory TEXT NULL,
+	request_id VARCHAR(100) NULL,
+	created_at DATETIME NOT NULL,
+	PRIMARY KEY (id),
+	KEY subscription_audit_log_cb_customer (cb_customer_id, created_at),
+	KEY subscription_audit_log_subscription (subscription_id, created_at),
+	KEY subscription_audit_log_request_id (request_id),
+	KEY subscription_audit_log_action (action, created_at)
+);
@@ -0,0 +1,18 @@
+-- Compensation log outcomes (createCompensationLog)
+-- - outcome: compensated, partially_compensated, nothing_to_compensate or
+--   post_commit_failed (a step after the commit failed, nothing was undone)
+-- - steps: JSON list of { type, data, compensated, error }
+CREATE TABLE IF NOT EXISTS subscription_compensations (
+	id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+	request_id VARCHAR(100) NOT NULL,
+	scope VARCHAR(50) NOT NULL,
+	cb_customer_id VARCHAR(50) NULL,
+	error TEXT NULL,
+	steps JSON NOT NULL,
+	outcome VARCHAR(30) NOT NULL,
+	created_at DATETIME NOT NULL,
+	status TINYINT NOT NULL DEFAULT 1,
+	PRIMARY KEY (id),
+	KEY subscription_compensations_request_id (request_id),
+	KEY subscription_compensations_outcome (outcome, created_at)
+);
@@ -0,0 +1,20 @@
+-- Member swaps (swapSubscriptionRecord) -> swap history and the swaps feedback report
+-- month/year are the record month the swap was made for (MM, yyyy)
+CREATE TABLE IF NOT EXISTS swap_history (
+	id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+	subscription_id VARCHAR(50) NOT NULL,
+	cb_customer_id VARCHAR(50) NOT NULL,
+	rotm INT UNSIGNED NOT NULL,
+	swapped_from_product_id BIGINT UNSIGNED NULL,
+	swapped_to_product_id BIGINT UNSIGNED NOT NULL,
+	variant_id BIGINT UNSIGNED NOT NULL,
+	track VARCHAR(50) NOT NULL,
+	is_swap_for_credit TINYINT NOT NULL DEFAULT 0,
+	month CHAR(2) NOT NULL,
+	year CHAR(4) NOT NULL,
+	created_at DATETIME NOT NULL,
+	status TINYINT NOT NULL DEFAULT 1,
+	PRIMARY KEY (id),
+	KEY swap_history_customer (cb_customer_id, created_at),
+	KEY swap_history_subscription_rotm (subscription_id, rotm)
+);
@@ -0,0 +1,22 @@
+-- Swap units held for a subscription during the swap window (reserveSwapRecord)
+-- - status: 1 active, 2 consumed (swapped), 3 released (expired/replaced)
+-- - the held unit is taken from rotms_swap_products.available_swap_quantity
+--   and returned when the reservation is released
+-- - expired reservations are returned by sweepExpiredSwapReservations
+--   (scheduled) and before every reservation, swap and track change
+CREATE TABLE IF NOT EXISTS swap_reservations (
+	id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+	subscription_id VARCHAR(50) NOT NULL,
+	rotm INT UNSIGNED NOT NULL,
+	product_id BIGINT UNSIGNED NOT NULL,
+	request_id VARCHAR(100) NULL,
+	expires_at DATETIME NOT NULL,
+	created_at DATETIME NOT NULL,
+	updated_at DATETIME NULL,
+	status TINYINT NOT NULL DEFAULT 1,
+	PRIMARY KEY (id),
+	KEY swap_reservations_subscription (subscription_id, status),
+	KEY swap_reservations_rotm_product (rotm, product_id, status),
+	KEY swap_reservations_status_expires_at (status, expires_at),
+	KEY swap_reservations_request_id (request_id)
+);
@@ -0,0 +1,21 @@
+-- Members waiting for a sold-out swap record (joinSwapWaitlist)
+-- - status: 1 waiting, 2 offered, 3 fulfilled (swapped), 4 expired,
+--   5 failed (offer email could not be queued)
+-- - an offer holds the returned unit as a swap reservation (swap_reservation_id)
+CREATE TABLE IF NOT EXISTS swap_waitlist (
+	id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+	rotm INT UNSIGNED NOT NULL,
+	product_id BIGINT UNSIGNED NOT NULL,
+	subscription_id VARCHAR(50) NOT NULL,
+	cb_customer_id VARCHAR(50) NULL,
+	email VARCHAR(255) NULL,
+	swap_reservation_id INT UNSIGNED NULL,
+	offered_at DATETIME NULL,
+	created_at DATETIME NOT NULL,
+	updated_at DATETIME NULL,
+	status TINYINT NOT NULL DEFAULT 1,
+	PRIMARY KEY (id),
+	KEY swap_waitlist_rotm_product_status (rotm, product_id, status),
+	KEY swap_waitlist_subscription (subscription_id, rotm),
+	KEY swap_waitlist_swap_reservation_id (swap_reservation_id)
+);
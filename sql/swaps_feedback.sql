@@ -0,0 +1,13 @@
+-- Swaps feedback -> member's primary subscription and the feedback's ROTM
+-- The swaps feedback report matches them with swap_history
+-- Feedback given before these columns existed is reported as swapped unknown
+ALTER TABLE swaps_feedback
+	ADD COLUMN subscription_id VARCHAR(50) NULL AFTER cb_customer_id,
+	ADD COLUMN rotm INT UNSIGNED NULL AFTER subscription_id,
+	ADD KEY swaps_feedback_subscription_rotm (subscription_id, rotm);
+
+-- Revised feedback -> current version on swaps_feedback, earlier versions on
+-- swaps_feedback_history
+ALTER TABLE swaps_feedback
+	ADD COLUMN version SMALLINT UNSIGNED NOT NULL DEFAULT 1 AFTER text,
+	ADD COLUMN updated_at DATETIME NULL AFTER created_at;
@@ -0,0 +1,13 @@
+-- Earlier versions of revised swaps feedback (submitSwapsFeedback)
+-- - created_at: when the version was given, replaced_at: when it was revised
+CREATE TABLE IF NOT EXISTS swaps_feedback_history (
+	id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+	swaps_feedback_id INT UNSIGNED NOT NULL,
+	version SMALLINT UNSIGNED NOT NULL,
+	rating TINYINT NOT NULL,
+	text TEXT NULL,
+	created_at DATETIME NOT NULL,
+	replaced_at DATETIME NOT NULL,
+	PRIMARY KEY (id),
+	UNIQUE KEY swaps_feedback_history_version (swaps_feedback_id, version)
+);
@@ -0,0 +1,278 @@
+// Chargebee subscription meta_data model
+// - every meta_data written by the controller is built here and carries
+//   its schema_version
+// - meta_data read from Chargebee is upgraded to the current version and
+//   validated before it is used
+//
+// To change the shape, bump META_DATA_VERSION, update the schema below and
+// add an upgrade from the previous version to META_DATA_UPGRADES.
+
+const { validateFields } = require('./subscriptions-validation');
+
+// Current schema version
+const META_DATA_VERSION = 1;
+
+// Subscription types
+const META_DATA_TYPES = ['primary', 'addon', 'gift'];
+
+// meta_data fields
+const META_DATA_SCHEMA = {
+	schema_version: { type: 'integer', required: true },
+	type: { type: 'string', required: true, enum: META_DATA_TYPES },
+	new: { type: 'boolean' },
+	swx: { type: 'boolean' },
+	swap_window: { type: 'string', maxLength: 20 },
+	product: { type: 'object', required: true },
+	customer_id: { type: 'scalar' },
+	gift_code: { type: 'string', maxLength: 100 },
+	gift_bundle: { type: 'string', maxLength: 100 },
+	gifter_customer_id: { type: 'scalar' },
+	gifter_order_id: { type: 'scalar' },
+};
+
+// meta_data.product fields
+const PRODUCT_SCHEMA = {
+	id: { type: 'integer' },
+	variant_id: { type: 'integer' },
+	track: { type: 'string', required: true, maxLength: 50 },
+	swapped: { type: 'boolean' },
+	swapped_date: { type: 'integer' },
+	reassigned_from: { type: 'integer' },
+};
+
+// Integer or null
+function toInteger(value) {
+	const integer = parseInt(value, 10);
+
+	return Number.isNaN(integer) ? null : integer;
+}
+
+// Upgrades by the version they upgrade from
+const META_DATA_UPGRADES = {
+	// Unversioned meta_data
+	// - meta_data without type stays untyped -> malformed (plan ids don't
+	//   tell primary and addon plans apart)
+	// - ids, tracks and swapped flags were stored as sent by the storefront
+	0: (metaData) => {
+		const product = metaData.product || {};
+
+		return {
+			...metaData,
+			product: {
+				...product,
+				id: toInteger(product.id),
+				variant_id: toInteger(product.variant_id),
+				track: product.track
+					? String(product.track).toLowerCase()
+					: product.track,
+				swapped: [true, 'true'].includes(product.swapped),
+				swapped_date: toInteger(product.swapped_date),
+			},
+			schema_version: 1,
+		};
+	},
+};
+
+// meta_data errors
+function metaDataError(message, errors) {
+	const err = new Error(message);
+	err.status = 500;
+	err.errors = errors;
+	return err;
+}
+
+// Validate meta_data against the current schema
+// Returns a list of { field, location, reason }
+function validateMetaData(metaData) {
+	if (!metaData || typeof metaData !== 'object' || Array.isArray(metaData)) {
+		return [
+			{
+				field: 'meta_data',
+				location: 'meta_data',
+				reason: 'is required',
+			},
+		];
+	}
+
+	const errors = validateFields(META_DATA_SCHEMA, metaData, 'meta_data');
+
+	if (metaData.schema_version !== META_DATA_VERSION) {
+		errors.push({
+			field: 'schema_version',
+			location: 'meta_data',
+			reason: `must be ${META_DATA_VERSION}`,
+		});
+	}
+
+	if (metaData.product && typeof metaData.product === 'object') {
+		errors.push(
+			...validateFields(
+				PRODUCT_SCHEMA,
+				metaData.product,
+				'meta_data.product'
+			)
+		);
+	}
+
+	return errors;
+}
+
+// Upgrade meta_data to the current version
+// Webhook meta_data may come as a JSON string
+function upgradeMetaData(metaData) {
+	let upgraded = metaData;
+
+	if (typeof upgraded === 'string') {
+		try {
+			upgraded = JSON.parse(upgraded);
+		} catch (err) {
+			return null;
+		}
+	}
+
+	if (!upgraded || typeof upgraded !== 'object') return null;
+
+	let version = parseInt(upgraded.schema_version, 10) || 0;
+
+	while (version < META_DATA_VERSION && META_DATA_UPGRADES[version]) {
+		upgraded = META_DATA_UPGRADES[version](upgraded);
+		version = upgraded.schema_version;
+	}
+
+	return upgraded;
+}
+
+// Read meta_data -> upgraded meta_data and its errors (if any)
+function readMetaData(metaData) {
+	const upgraded = upgradeMetaData(metaData);
+
+	return { metaData: upgraded, errors: validateMetaData(upgraded) };
+}
+
+// Read subscription type -> null if meta_data is malformed
+function getSubscriptionType(subscription) {
+	const { metaData, errors } = readMetaData(
+		subscription && subscription.meta_data
+	);
+
+	return errors.length > 0 ? null : metaData.type;
+}
+
+// Read customer's subscriptions (Chargebee list entries)
+// - valid subscriptions are returned with their upgraded meta_data
+// - malformed subscriptions are returned apart with their errors and their
+//   type if it can still be read (null otherwise)
+function readSubscriptions(subscriptions) {
+	return (subscriptions || []).reduce(
+		(acc, entry) => {
+			const subscription = entry && entry.subscription;
+
+			if (!subscription) return acc;
+
+			const { metaData, errors } = readMetaData(subscription.meta_data);
+
+			if (errors.length > 0) {
+				acc.malformed.push({
+					subscription_id: subscription.id,
+					cb_customer_id: subscription.customer_id || null,
+					status: subscription.status,
+					type:
+						metaData && META_DATA_TYPES.includes(metaData.type)
+							? metaData.type
+							: null,
+					errors,
+				});
+			} else {
+				acc.subscriptions.push({
+					...entry,
+					subscription: { ...subscription, meta_data: metaData },
+				});
+			}
+
+			return acc;
+		},
+		{ subscriptions: [], malformed: [] }
+	);
+}
+
+// Malformed subscriptions on a request that changes subscriptions
+// -> the request is rejected instead of acting on a partial list
+function malformedSubscriptionsError(malformed, action) {
+	const err = new Error(
+		`Subscription meta_data is malformed on ${action} (${malformed
+			.map(
+				(f) =>
+					// eslint-disable-next-line implicit-arrow-linebreak
+					`subscription_id: ${f.subscription_id}: ${f.errors
+						.map((e) => `${e.location}.${e.field} ${e.reason}`)
+						.join(', ')}`
+			)
+			.join('; ')}).`
+	);
+	err.status = 409;
+	err.errors = malformed;
+	return err;
+}
+
+// Build meta_data of the current version
+// Invalid meta_data is a programming error and is never sent to Chargebee
+function buildMetaData(obj) {
+	const { type, swapWindow, isNew = false, swx, product, gift } = obj;
+
+	const metaData = {
+		schema_version: META_DATA_VERSION,
+		type,
+		new: isNew,
+		product: {
+			id: toInteger(product.id),
+			variant_id: toInteger(product.variant_id),
+			track: product.track,
+			swapped: !!product.swapped,
+			swapped_date: product.swapped_date || null,
+		},
+	};
+
+	if (swapWindow) {
+		metaData.swap_window = swapWindow;
+	}
+
+	if (swx) {
+		metaData.swx = true;
+	}
+
+	if (product.reassigned_from) {
+		metaData.product.reassigned_from = toInteger(product.reassigned_from);
+	}
+
+	// Gift fields -> only the ones sent
+	Object.keys(gift || {})
+		.filter((key) => gift[key])
+		.forEach((key) => {
+			metaData[key] = gift[key];
+		});
+
+	const errors = validateMetaData(metaData);
+
+	if (errors.length > 0) {
+		throw metaDataError(
+			`Invalid subscription meta_data: ${errors
+				.map((f) => `${f.location}.${f.field} ${f.reason}`)
+				.join(', ')}.`,
+			errors
+		);
+	}
+
+	return metaData;
+}
+
+module.exports = {
+	META_DATA_VERSION,
+	META_DATA_TYPES,
+	validateMetaData,
+	upgradeMetaData,
+	readMetaData,
+	getSubscriptionType,
+	readSubscriptions,
+	malformedSubscriptionsError,
+	buildMetaData,
+};
@@ -0,0 +1,482 @@
+const crypto = require('crypto');
+const get = require('lodash.get');
+const { parseGid } = require('@shopify/admin-graphql-api-utilities');
+
+// Utils
+const DB = require('../utils/database-util');
+
+// Shopify -> Chargebee customer mapping is cached for 1h on logged_in_customers
+// (MySQL -> RedisUtil only exposes the VMPQueue job queue)
+const CUSTOMER_CACHE_TTL = 60 * 60;
+
+// Ownership rules by handler name
+// - customer: Chargebee customer ids the caller must be
+// - subscriptions: Chargebee subscription ids the caller must own
+// - shopifyCustomer: Shopify customer ids the caller must be
+// - email: email addresses the caller must have
+// - admin: caller must be an admin (SUBSCRIPTIONS_ADMIN_TOKENS)
+// - webhook: sender must be Chargebee (Basic Auth) or Shopify (HMAC)
+const OWNERSHIP_RULES = {
+	getSubscriptions: {
+		customer: (req) => [req.query.customer_id],
+	},
+	createSubscription: {
+		customer: (req) => [req.body.cb_customer_id],
+		shopifyCustomer: (req) => [req.body.sh_customer_id],
+	},
+	updateSubscriptionTrack: {
+		customer: (req) => [req.body.cb_customer_id],
+	},
+	updateAddonSubscriptionTrack: {
+		customer: (req) => [req.body.cb_customer_id],
+		subscriptions: (req) => [req.body.subscription_id],
+	},
+	updateSubscriptionTerm: {
+		customer: (req) => [req.body.cb_customer_id],
+	},
+	previewSubscriptionTerm: {
+		customer: (req) => [req.query.cb_customer_id],
+	},
+	removeScheduledTermChange: {
+		customer: (req) => [req.body.cb_customer_id],
+	},
+	cancelSubscription: {
+		subscriptions: (req) => [req.body.id],
+	},
+	pauseSubscription: {
+		customer: (req) => [req.body.cb_customer_id],
+	},
+	skipSubscriptionMonth: {
+		customer: (req) => [req.body.cb_customer_id],
+	},
+	cancelAllSubscriptions: {
+		customer: (req) => [req.body.chargebee_client_id],
+		shopifyCustomer: (req) => [req.body.shopify_client_id],
+		subscriptions: (req) => [
+			req.body.subscription_id,
+			...(Array.isArray(req.body.addons) ? req.body.addons : []).map(
+				(f) => f && f.id
+			),
+		],
+	},
+	getRetentionOffers: {
+		customer: (req) => [req.body.cb_customer_id],
+		subscriptions: (req) => [req.body.subscription_id],
+	},
+	respondToRetentionOffer: {
+		customer: (req) => [req.body.cb_customer_id],
+	},
+	getCancellationAnalytics: { admin: true },
+	reactivateSubscription: {
+		customer: (req) => [req.body.customer_id],
+		subscriptions: (req) => [req.body.id],
+	},
+	reserveSwapRecord: {
+		subscriptions: (req) => [req.body.subscription_id],
+	},
+	sweepExpiredSwapReservations: { admin: true },
+	joinSwapWaitlist: {
+		subscriptions: (req) => [req.body.subscription_id],
+	},
+	swapSubscriptionRecord: {
+		subscriptions: (req) => [req.body.subscription_id],
+	},
+	getSwapHistory: {
+		customer: (req) => [req.query.customer_id],
+		subscriptions: (req) => [req.query.subscription_id],
+	},
+	getMembershipCredits: {
+		customer: (req) => [req.query.customer_id],
+	},
+	getInventoryLedger: { admin: true },
+	getAuditLog: { admin: true },
+	reassignRotmProduct: { admin: true },
+	redeemGift: {
+		customer: (req) => [req.body.cb_customer_id],
+		shopifyCustomer: (req) => [req.body.sh_customer_id],
+	},
+	submitSwapsFeedback: {
+		email: (req) => [req.body.email],
+	},
+	getSwapsFeedbackReport: { admin: true },
+	getRenewalEstimate: {
+		subscriptions: (req) => [req.query.subscriptionId],
+	},
+	downloadInvoice: {
+		subscriptions: (req) => [req.query.subscriptionId],
+	},
+	getBillingHistory: {
+		customer: (req) => [req.query.customer_id],
+		subscriptions: (req) => [req.query.subscription_id],
+	},
+	downloadBillingDocument: {
+		customer: (req) => [req.query.customer_id],
+	},
+	handleChargebeeWebhook: { webhook: 'chargebee' },
+	handleShopifyCustomerUpdate: { webhook: 'shopify' },
+};
+
+// Normalize Shopify ids -> gid://shopify/Customer/123 or 123
+function normalizeShopifyId(id) {
+	if (!id) return '';
+
+	return String(id).startsWith('gid://') ? parseGid(id) : String(id);
+}
+
+// Storefront requests come through the Shopify App Proxy, which signs the
+// query string with the app's secret (HMAC-SHA256, hex)
+// - signature is computed over the sorted key=value pairs, joined without
+//   separators, repeated keys have their values joined by commas
+function isValidAppProxySignature(originalUrl) {
+	const { SHOPIFY_API_SECRET: secret } = process.env;
+	const queryString = String(originalUrl || '').split('?')[1];
+
+	if (!secret || !queryString) return false;
+
+	const params = new URLSearchParams(queryString);
+	const signature = params.get('signature');
+
+	if (!signature) return false;
+
+	const message = [...new Set(params.keys())]
+		.filter((key) => key !== 'signature')
+		.map((key) => `${key}=${params.getAll(key).join(',')}`)
+		.sort()
+		.join('');
+
+	const expected = Buffer.from(
+		crypto.createHmac('sha256', secret).update(message).digest('hex')
+	);
+	const received = Buffer.from(signature);
+
+	return (
+		expected.length === received.length &&
+		crypto.timingSafeEqual(expected, received)
+	);
+}
+
+// Chargebee webhooks are sent with the Basic Auth credentials set on Chargebee
+function isValidChargebeeWebhookAuth(authorization) {
+	const {
+		CHARGEBEE_WEBHOOK_USERNAME: username,
+		CHARGEBEE_WEBHOOK_PASSWORD: password,
+	} = process.env;
+
+	if (!authorization || !username || !password) return false;
+
+	const expected = Buffer.from(
+		`Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`
+	);
+	const received = Buffer.from(authorization);
+
+	return (
+		expected.length === received.length &&
+		crypto.timingSafeEqual(expected, received)
+	);
+}
+
+// Keep the raw request body -> Shopify signs the body as sent, not the parsed JSON
+// Wire it on the JSON body parser of the webhook routes:
+//   express.json({ verify: captureRawBody })
+// Without it req.rawBody is missing and every Shopify webhook is rejected (401)
+function captureRawBody(req, res, buf) {
+	req.rawBody = buf;
+}
+
+// Shopify webhooks are signed with the app's webhook secret (HMAC-SHA256 of the raw body)
+function isValidShopifyWebhookHmac(rawBody, hmac) {
+	const { SHOPIFY_WEBHOOK_SECRET: secret } = process.env;
+
+	if (!rawBody || !hmac || !secret) return false;
+
+	const expected = Buffer.from(
+		crypto.createHmac('sha256', secret).update(rawBody).digest('base64')
+	);
+	const received = Buffer.from(hmac);
+
+	return (
+		expected.length === received.length &&
+		crypto.timingSafeEqual(expected, received)
+	);
+}
+
+// Webhook senders -> authenticated by their credentials/signature
+const WEBHOOK_AUTHENTICATORS = {
+	chargebee: {
+		isValid: (req) => isValidChargebeeWebhookAuth(req.get('Authorization')),
+		message: 'Invalid Chargebee webhook credentials.',
+	},
+	shopify: {
+		isValid: (req) =>
+			// eslint-disable-next-line implicit-arrow-linebreak
+			isValidShopifyWebhookHmac(
+				req.rawBody,
+				req.get('X-Shopify-Hmac-Sha256')
+			),
+		message: 'Invalid Shopify webhook signature.',
+	},
+};
+
+// Admins call the admin endpoints with their own token
+// SUBSCRIPTIONS_ADMIN_TOKENS -> comma separated email:token pairs
+// Returns the admin's email or false
+function findAdminByToken(authorization) {
+	const { SUBSCRIPTIONS_ADMIN_TOKENS: adminTokens } = process.env;
+	const token = String(authorization || '').replace(/^Bearer\s+/i, '');
+
+	if (!adminTokens || !token) return false;
+
+	// Compare digests -> same length, constant time
+	const digest = (value) =>
+		// eslint-disable-next-line implicit-arrow-linebreak
+		crypto.createHash('sha256').update(value).digest();
+	const received = digest(token);
+
+	const admin = adminTokens
+		.split(',')
+		.map((f) => f.trim().split(':'))
+		.find(
+			([email, adminToken]) =>
+				// eslint-disable-next-line implicit-arrow-linebreak
+				email &&
+				adminToken &&
+				crypto.timingSafeEqual(digest(adminToken), received)
+		);
+
+	return admin ? admin[0].toLowerCase() : false;
+}
+
+// Reject the request
+function forbidden() {
+	const err = new Error('You are not allowed to access this subscription.');
+	err.status = 403;
+	return err;
+}
+
+// Ties the logged-in Shopify customer to their Chargebee customer
+// and checks every customer/subscription a request targets
+function subscriptionsAuthorization(shopifyService, chargebeeService) {
+	// GET logged-in customer's Shopify and Chargebee data
+	// Shopify App Proxy adds logged_in_customer_id to every storefront request
+	// Customers without a Chargebee customer are not cached -> they may
+	// subscribe at any time
+	async function fetchLoggedInCustomer(shCustomerId) {
+		// Connect to DB
+		const pool = DB.getInstance();
+		const [cached] = await pool.query(
+			`SELECT sh_customer_id, cb_customer_id, email
+                FROM logged_in_customers
+                WHERE sh_customer_id = ? AND expires_at > NOW()
+                LIMIT 0,1`,
+			[normalizeShopifyId(shCustomerId)]
+		);
+
+		if (cached && cached.length > 0) return { ...cached[0] };
+
+		const shCustomer = await shopifyService.fetchShopifyCustomerById(
+			shCustomerId
+		);
+		const email = get(shCustomer, 'email', false);
+
+		if (!email) return false;
+
+		const { customer: cbCustomer } =
+			await chargebeeService.getCBCustomerByEmail(email);
+
+		const loggedInCustomer = {
+			sh_customer_id: normalizeShopifyId(shCustomerId),
+			cb_customer_id: get(cbCustomer, 'id', null),
+			email: email.toLowerCase().trim(),
+		};
+
+		if (loggedInCustomer.cb_customer_id) {
+			await pool.query(
+				`INSERT INTO logged_in_customers
+                    (sh_customer_id, cb_customer_id, email, expires_at)
+                    VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))
+                    ON DUPLICATE KEY UPDATE cb_customer_id = VALUES(cb_customer_id),
+                        email = VALUES(email), expires_at = VALUES(expires_at)`,
+				[
+					loggedInCustomer.sh_customer_id,
+					loggedInCustomer.cb_customer_id,
+					loggedInCustomer.email,
+					CUSTOMER_CACHE_TTL,
+				]
+			);
+		}
+
+		return loggedInCustomer;
+	}
+
+	// Check that the logged-in customer owns every targeted resource
+	async function authorizeRequest(rules, req) {
+		// logged_in_customer_id is only trusted on signed App Proxy requests
+		if (!isValidAppProxySignature(req.originalUrl)) {
+			const err = new Error('Invalid request signature.');
+			err.status = 401;
+			throw err;
+		}
+
+		const shCustomerId = get(req, 'query.logged_in_customer_id', false);
+
+		if (!shCustomerId) {
+			const err = new Error('Please sign up or login with your account.');
+			err.status = 401;
+			throw err;
+		}
+
+		const loggedInCustomer = await fetchLoggedInCustomer(shCustomerId);
+
+		if (!loggedInCustomer) {
+			const err = new Error('Please sign up or login with your account.');
+			err.status = 401;
+			throw err;
+		}
+
+		// Values of a rule that were sent on the request
+		const targets = (rule) =>
+			// eslint-disable-next-line implicit-arrow-linebreak
+			rule ? rule(req).filter((f) => f) : [];
+
+		// Shopify customer
+		if (
+			targets(rules.shopifyCustomer).some(
+				(f) => normalizeShopifyId(f) !== loggedInCustomer.sh_customer_id
+			)
+		) {
+			throw forbidden();
+		}
+
+		// Email
+		if (
+			targets(rules.email).some(
+				(f) => String(f).toLowerCase().trim() !== loggedInCustomer.email
+			)
+		) {
+			throw forbidden();
+		}
+
+		const cbCustomerIds = targets(rules.customer);
+		const cbSubscriptionIds = targets(rules.subscriptions);
+
+		// Chargebee customer
+		if (
+			(cbCustomerIds.length > 0 || cbSubscriptionIds.length > 0) &&
+			!loggedInCustomer.cb_customer_id
+		) {
+			throw forbidden();
+		}
+
+		if (cbCustomerIds.some((f) => f !== loggedInCustomer.cb_customer_id)) {
+			throw forbidden();
+		}
+
+		// Chargebee subscriptions
+		const subscriptions = await Promise.all(
+			cbSubscriptionIds.map((id) =>
+				// eslint-disable-next-line implicit-arrow-linebreak
+				chargebeeService.getCBSubscriptionById(id)
+			)
+		);
+
+		if (
+			subscriptions.some(
+				(f) =>
+					// eslint-disable-next-line implicit-arrow-linebreak
+					get(f, 'subscription.customer_id', false) !==
+					loggedInCustomer.cb_customer_id
+			)
+		) {
+			throw forbidden();
+		}
+
+		return {
+			loggedInCustomer,
+			cbSubscriptions: subscriptions.reduce((acc, f) => {
+				acc[f.subscription.id] = f.subscription;
+				return acc;
+			}, {}),
+		};
+	}
+
+	// Run handler's ownership rules before the handler
+	function withOwnership(rules, handler) {
+		return async function authorizedHandler(req, res, next) {
+			try {
+				const { loggedInCustomer, cbSubscriptions } =
+					await authorizeRequest(rules, req);
+
+				req.shCustomerId = loggedInCustomer.sh_customer_id;
+				req.cbCustomerId = loggedInCustomer.cb_customer_id;
+				// Targeted subscriptions as they were before the handler
+				req.cbSubscriptions = cbSubscriptions;
+			} catch (error) {
+				return next(error);
+			}
+
+			return handler(req, res, next);
+		};
+	}
+
+	// Admin endpoints -> caller must send an admin token
+	// The admin is set on req.user (audit log actor)
+	function withAdmin(handler) {
+		return async function adminHandler(req, res, next) {
+			const adminEmail = findAdminByToken(req.get('Authorization'));
+
+			if (!adminEmail) {
+				const err = new Error('Admin authentication is required.');
+				err.status = 401;
+				return next(err);
+			}
+
+			req.user = { id: adminEmail, email: adminEmail };
+
+			return handler(req, res, next);
+		};
+	}
+
+	// Webhooks -> sender must be authenticated
+	function withWebhookAuth(sender, handler) {
+		return async function webhookHandler(req, res, next) {
+			const authenticator = WEBHOOK_AUTHENTICATORS[sender];
+
+			if (!authenticator || !authenticator.isValid(req)) {
+				const err = new Error(
+					get(authenticator, 'message', 'Invalid webhook sender.')
+				);
+				err.status = 401;
+				return next(err);
+			}
+
+			return handler(req, res, next);
+		};
+	}
+
+	// Wrap every handler with its ownership rules
+	// A handler without rules is a programming error
+	function withOwnershipChecks(handlers) {
+		return Object.keys(handlers).reduce((acc, name) => {
+			const rules = OWNERSHIP_RULES[name];
+
+			if (!rules) {
+				throw new Error(`Missing ownership rules for ${name}.`);
+			}
+
+			if (rules.admin) {
+				acc[name] = withAdmin(handlers[name]);
+			} else if (rules.webhook) {
+				acc[name] = withWebhookAuth(rules.webhook, handlers[name]);
+			} else {
+				acc[name] = withOwnership(rules, handlers[name]);
+			}
+
+			return acc;
+		}, {});
+	}
+
+	return { withOwnershipChecks };
+}
+
+module.exports = subscriptionsAuthorization;
+module.exports.captureRawBody = captureRawBody;
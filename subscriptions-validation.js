@@ -0,0 +1,535 @@
+// Declarative request validation for subscriptionsController handlers
+// - every handler has a schema for its body and/or query
+// - invalid requests are rejected with 422 before the handler runs
+//   (404 when a notFound id is missing)
+// - the error lists every invalid field and the reason
+// - valid 'true'/'false' strings are coerced to booleans
+
+// Field rules by type -> return the reason if the value is invalid
+const TYPE_RULES = {
+	string: (value) => (typeof value === 'string' ? null : 'must be a string'),
+	// Numbers or numeric strings -> never arrays (['5'] tests as '5')
+	integer: (value) =>
+		// eslint-disable-next-line implicit-arrow-linebreak
+		Number.isInteger(value) ||
+		(typeof value === 'string' && /^\d+$/.test(value))
+			? null
+			: 'must be an integer',
+	// 'true'/'false' (query strings, form posts) are coerced after validation
+	boolean: (value) =>
+		// eslint-disable-next-line implicit-arrow-linebreak
+		[true, false, 'true', 'false'].includes(value)
+			? null
+			: 'must be a boolean',
+	scalar: (value) =>
+		// eslint-disable-next-line implicit-arrow-linebreak
+		['string', 'number'].includes(typeof value)
+			? null
+			: 'must be a string or a number',
+	array: (value) => (Array.isArray(value) ? null : 'must be an array'),
+	object: (value) =>
+		// eslint-disable-next-line implicit-arrow-linebreak
+		value && typeof value === 'object' && !Array.isArray(value)
+			? null
+			: 'must be an object',
+	email: (value) =>
+		// eslint-disable-next-line implicit-arrow-linebreak
+		typeof value === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
+			? null
+			: 'must be a valid email address',
+	// Chargebee ids, e.g. customer_id, subscription_id
+	cb_id: (value) =>
+		// eslint-disable-next-line implicit-arrow-linebreak
+		typeof value === 'string' && /^[A-Za-z0-9_-]{1,50}$/.test(value)
+			? null
+			: 'must be a valid Chargebee id',
+	// Chargebee plan ids, e.g. 1-month-usa-new
+	plan_id: (value) =>
+		// eslint-disable-next-line implicit-arrow-linebreak
+		typeof value === 'string' && /^[a-z0-9-]{1,100}$/.test(value)
+			? null
+			: 'must be a valid plan id',
+	// Shopify ids -> numeric or gid://shopify/Customer/123
+	shopify_id: (value) =>
+		// eslint-disable-next-line implicit-arrow-linebreak
+		Number.isInteger(value) ||
+		(typeof value === 'string' &&
+			/^(\d+|gid:\/\/shopify\/\w+\/\d+)$/.test(value))
+			? null
+			: 'must be a valid Shopify id',
+};
+
+// Validate a single value against its rule
+function validateValue(value, rule) {
+	const typeReason = TYPE_RULES[rule.type](value);
+
+	if (typeReason) return typeReason;
+
+	if (rule.enum && !rule.enum.includes(value)) {
+		return `must be one of: ${rule.enum.join(', ')}`;
+	}
+
+	if (rule.pattern && !rule.pattern.test(value)) {
+		return rule.patternReason || 'has an invalid format';
+	}
+
+	if (rule.min !== undefined && Number(value) < rule.min) {
+		return `must be at least ${rule.min}`;
+	}
+
+	if (rule.max !== undefined && Number(value) > rule.max) {
+		return `must be at most ${rule.max}`;
+	}
+
+	if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+		return `must be at most ${rule.maxLength} characters long`;
+	}
+
+	if (rule.items) {
+		const index = value.findIndex((item) =>
+			validateValue(item, rule.items)
+		);
+
+		if (index !== -1) {
+			return `item ${index} ${validateValue(value[index], rule.items)}`;
+		}
+	}
+
+	return null;
+}
+
+// Validate an object (body or query) against its fields schema
+// Returns a list of { field, reason }
+function validateFields(fields, source, location) {
+	const errors = [];
+	const values = source || {};
+
+	Object.keys(fields).forEach((field) => {
+		const rule = fields[field];
+		const value = values[field];
+		const isRequired = rule.requiredIf
+			? rule.requiredIf(values)
+			: !!rule.required;
+
+		// Missing value
+		if (
+			value === undefined ||
+			value === null ||
+			(typeof value === 'string' && !value.trim())
+		) {
+			if (isRequired) {
+				errors.push({ field, location, reason: 'is required' });
+			}
+			return;
+		}
+
+		const reason = validateValue(value, rule);
+
+		if (reason) {
+			errors.push({ field, location, reason });
+		}
+	});
+
+	return errors;
+}
+
+// Coerce valid values to their type -> handlers get real booleans
+function coerceFields(fields, source) {
+	if (!source) return;
+
+	Object.keys(fields)
+		.filter((field) => fields[field].type === 'boolean')
+		.filter((field) => ['true', 'false'].includes(source[field]))
+		.forEach((field) => {
+			// eslint-disable-next-line no-param-reassign
+			source[field] = source[field] === 'true';
+		});
+}
+
+// Shared fields
+const cbCustomerId = { type: 'cb_id', required: true };
+const cbSubscriptionId = { type: 'cb_id', required: true };
+const track = { type: 'string', required: true, maxLength: 50 };
+const productId = { type: 'integer', required: true };
+const variantId = { type: 'integer', required: true };
+const billingDocumentType = {
+	type: 'string',
+	enum: ['invoice', 'credit_note'],
+};
+const yearMonth = {
+	type: 'string',
+	pattern: /^\d{4}-\d{2}$/,
+	patternReason: 'must be a month in yyyy-MM format',
+};
+const yearMonthDay = {
+	type: 'string',
+	pattern: /^\d{4}-\d{2}-\d{2}$/,
+	patternReason: 'must be a date in yyyy-MM-dd format',
+};
+
+// Schemas by handler name
+const schemas = {
+	getSubscriptions: {
+		query: { customer_id: cbCustomerId },
+	},
+	createSubscription: {
+		body: {
+			type: {
+				type: 'string',
+				required: true,
+				enum: ['primary', 'addon'],
+			},
+			track,
+			selected_addons: {
+				type: 'array',
+				items: { type: 'string', maxLength: 50 },
+			},
+			sh_customer_id: { type: 'shopify_id', required: true },
+			cb_customer_id: cbCustomerId,
+			plan_id: {
+				type: 'plan_id',
+				requiredIf: (body) => body.type === 'primary',
+			},
+			product_id: productId,
+			variant_id: variantId,
+			coupon_code: { type: 'string', maxLength: 50 },
+			isOfferActive: { type: 'boolean' },
+		},
+	},
+	updateSubscriptionTrack: {
+		body: {
+			cb_customer_id: cbCustomerId,
+			have_swapped: { type: 'boolean' },
+			previous_track: { type: 'string', maxLength: 50 },
+			variant_id: variantId,
+			track,
+		},
+	},
+	updateAddonSubscriptionTrack: {
+		body: {
+			cb_customer_id: cbCustomerId,
+			subscription_id: cbSubscriptionId,
+			variant_id: variantId,
+			track,
+		},
+	},
+	updateSubscriptionTerm: {
+		body: {
+			cb_customer_id: cbCustomerId,
+			cb_plan_id: { type: 'plan_id', required: true },
+		},
+	},
+	previewSubscriptionTerm: {
+		query: {
+			cb_customer_id: cbCustomerId,
+			cb_plan_id: { type: 'plan_id', required: true },
+		},
+	},
+	removeScheduledTermChange: {
+		body: { cb_customer_id: cbCustomerId },
+	},
+	cancelSubscription: {
+		body: {
+			id: cbSubscriptionId,
+			type: { type: 'string', required: true, enum: ['addon'] },
+			end_of_term: { type: 'boolean' },
+		},
+	},
+	pauseSubscription: {
+		body: {
+			cb_customer_id: cbCustomerId,
+			months: { type: 'integer', required: true, min: 1, max: 3 },
+		},
+	},
+	skipSubscriptionMonth: {
+		body: { cb_customer_id: cbCustomerId },
+	},
+	cancelAllSubscriptions: {
+		body: {
+			subscription_id: cbSubscriptionId,
+			shopify_client_id: { type: 'shopify_id' },
+			chargebee_client_id: { type: 'cb_id' },
+			first_name: { type: 'string', maxLength: 255 },
+			last_name: { type: 'string', maxLength: 255 },
+			email: { type: 'email' },
+			reason: { type: 'string', maxLength: 255 },
+			comments: { type: 'string', maxLength: 2000 },
+			addons: { type: 'array', items: { type: 'object' } },
+		},
+	},
+	getRetentionOffers: {
+		body: {
+			cb_customer_id: cbCustomerId,
+			subscription_id: cbSubscriptionId,
+			reason: { type: 'string', required: true, maxLength: 255 },
+			comments: { type: 'string', maxLength: 2000 },
+		},
+	},
+	respondToRetentionOffer: {
+		body: {
+			cb_customer_id: cbCustomerId,
+			retention_offer_id: { type: 'integer', required: true },
+			accepted: { type: 'boolean', required: true },
+			offer: {
+				type: 'string',
+				requiredIf: (body) => [true, 'true'].includes(body.accepted),
+				enum: [
+					'discount_coupon',
+					'pause',
+					'shorter_term',
+					'longer_term',
+					'drop_addons',
+				],
+			},
+			months: {
+				type: 'integer',
+				requiredIf: (body) => body.offer === 'pause',
+				min: 1,
+				max: 3,
+			},
+		},
+	},
+	getCancellationAnalytics: {
+		query: {
+			from: yearMonth,
+			to: yearMonth,
+			rotm: { type: 'integer' },
+			track: { type: 'string', maxLength: 50 },
+			type: { type: 'string', enum: ['primary', 'addon', 'gift'] },
+			format: { type: 'string', enum: ['json', 'csv'] },
+		},
+	},
+	reactivateSubscription: {
+		body: {
+			id: cbSubscriptionId,
+			type: {
+				type: 'string',
+				required: true,
+				enum: ['primary', 'addon'],
+			},
+			customer_id: cbCustomerId,
+		},
+	},
+	getSwapHistory: {
+		query: {
+			customer_id: cbCustomerId,
+			subscription_id: { type: 'cb_id' },
+		},
+	},
+	getMembershipCredits: {
+		query: { customer_id: cbCustomerId },
+	},
+	getInventoryLedger: {
+		query: {
+			rotm: { type: 'integer' },
+			product_id: { type: 'integer' },
+			bucket: {
+				type: 'string',
+				enum: ['existingsub', 'newsub', 'swap'],
+			},
+			reason: { type: 'string', maxLength: 50 },
+			subscription_id: { type: 'cb_id' },
+			request_id: { type: 'string', maxLength: 100 },
+			limit: { type: 'integer', min: 1, max: 500 },
+			offset: { type: 'integer', min: 0 },
+		},
+	},
+	getAuditLog: {
+		query: {
+			customer_id: { type: 'cb_id' },
+			subscription_id: { type: 'cb_id' },
+			request_id: { type: 'string', maxLength: 100 },
+			action: { type: 'string', maxLength: 50 },
+			from: yearMonthDay,
+			to: yearMonthDay,
+			limit: { type: 'integer', min: 1, max: 500 },
+			offset: { type: 'integer', min: 0 },
+		},
+	},
+	reassignRotmProduct: {
+		body: {
+			reassignment_id: { type: 'integer' },
+			rotm: {
+				type: 'integer',
+				requiredIf: (body) => !body.reassignment_id,
+			},
+			source_product_id: {
+				type: 'integer',
+				requiredIf: (body) => !body.reassignment_id,
+			},
+			target_product_id: {
+				type: 'integer',
+				requiredIf: (body) => !body.reassignment_id,
+			},
+			target_variant_id: {
+				type: 'integer',
+				requiredIf: (body) => !body.reassignment_id,
+			},
+			track: { type: 'string', maxLength: 50 },
+			dry_run: { type: 'boolean' },
+			batch_size: { type: 'integer', min: 1, max: 100 },
+		},
+	},
+	redeemGift: {
+		body: {
+			gift_code: { type: 'string', required: true, maxLength: 100 },
+			sh_customer_id: { type: 'shopify_id', required: true },
+			cb_customer_id: cbCustomerId,
+			track,
+			start_month: { ...yearMonth, required: true },
+		},
+	},
+	reserveSwapRecord: {
+		body: {
+			subscription_id: cbSubscriptionId,
+			product_id: productId,
+		},
+	},
+	// Scheduled -> no params
+	sweepExpiredSwapReservations: {},
+	joinSwapWaitlist: {
+		body: {
+			subscription_id: cbSubscriptionId,
+			product_id: productId,
+		},
+	},
+	swapSubscriptionRecord: {
+		body: {
+			subscription_id: cbSubscriptionId,
+			track,
+			type: {
+				type: 'string',
+				required: true,
+				enum: ['primary', 'addon', 'gift'],
+			},
+			customer_id: { type: 'scalar' },
+			gift_code: { type: 'string', maxLength: 100 },
+			gift_bundle: { type: 'string', maxLength: 100 },
+			gifter_customer_id: { type: 'scalar' },
+			gifter_order_id: { type: 'scalar' },
+			swapped_product_id: { type: 'integer' },
+			product_id: productId,
+			variant_id: variantId,
+			title: { type: 'string', maxLength: 255 },
+			vendor: { type: 'string', maxLength: 255 },
+			image: { type: 'string', maxLength: 2000 },
+			handle: { type: 'string', maxLength: 255 },
+		},
+	},
+	submitSwapsFeedback: {
+		body: {
+			email: { type: 'email', required: true },
+			rating: {
+				type: 'string',
+				required: true,
+				enum: ['positive', 'negative'],
+			},
+			text: { type: 'string', maxLength: 2000 },
+		},
+	},
+	getSwapsFeedbackReport: {
+		query: {
+			year: { type: 'integer', required: true, min: 2000, max: 2100 },
+			month: { type: 'integer', min: 1, max: 12 },
+			swapped: { type: 'boolean' },
+			format: { type: 'string', enum: ['json', 'csv'] },
+			export: { type: 'string', enum: ['summary', 'comments'] },
+		},
+	},
+	// Missing subscription -> 404
+	getRenewalEstimate: {
+		query: { subscriptionId: { ...cbSubscriptionId, notFound: true } },
+	},
+	downloadInvoice: {
+		query: { subscriptionId: { ...cbSubscriptionId, notFound: true } },
+	},
+	getBillingHistory: {
+		query: {
+			customer_id: cbCustomerId,
+			subscription_id: { type: 'cb_id' },
+			type: billingDocumentType,
+			limit: { type: 'integer', min: 1, max: 100 },
+			offset: { type: 'string', maxLength: 1000 },
+		},
+	},
+	downloadBillingDocument: {
+		query: {
+			customer_id: cbCustomerId,
+			document_id: { type: 'cb_id', required: true },
+			type: billingDocumentType,
+		},
+	},
+	handleChargebeeWebhook: {
+		body: {
+			id: { type: 'string', required: true, maxLength: 100 },
+			event_type: { type: 'string', required: true, maxLength: 100 },
+			occurred_at: { type: 'integer', required: true },
+			source: { type: 'string', maxLength: 50 },
+			content: { type: 'object', required: true },
+		},
+	},
+	handleShopifyCustomerUpdate: {
+		body: {
+			id: { type: 'integer', required: true },
+			email: { type: 'email' },
+			first_name: { type: 'string', maxLength: 255 },
+			last_name: { type: 'string', maxLength: 255 },
+			default_address: { type: 'object' },
+		},
+	},
+};
+
+// Run handler's schema before the handler
+function validateRequest(name, handler) {
+	const schema = schemas[name];
+
+	return function validatedHandler(req, res, next) {
+		const errors = [
+			...validateFields(schema.body || {}, req.body, 'body'),
+			...validateFields(schema.query || {}, req.query, 'query'),
+		];
+
+		if (errors.length > 0) {
+			const err = new Error(
+				`Invalid params on ${name}: ${errors
+					.map((f) => `${f.field} ${f.reason}`)
+					.join(', ')}.`
+			);
+			// Missing resource id -> not found
+			const isNotFound = errors.some(
+				(f) =>
+					// eslint-disable-next-line implicit-arrow-linebreak
+					f.reason === 'is required' &&
+					(schema[f.location] || {})[f.field].notFound
+			);
+			err.status = isNotFound ? 404 : 422;
+			err.errors = errors;
+			return next(err);
+		}
+
+		coerceFields(schema.body || {}, req.body);
+		coerceFields(schema.query || {}, req.query);
+
+		return handler(req, res, next);
+	};
+}
+
+// Wrap every controller handler with its schema
+// A handler without a schema is a programming error
+function withRequestValidation(handlers) {
+	return Object.keys(handlers).reduce((acc, name) => {
+		if (!schemas[name]) {
+			throw new Error(`Missing request schema for ${name}.`);
+		}
+
+		acc[name] = validateRequest(name, handlers[name]);
+		return acc;
+	}, {});
+}
+
+module.exports = {
+	schemas,
+	validateFields,
+	validateRequest,
+	withRequestValidation,
+};
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const get = require('lodash.get');
 const { DateTime, Interval } = require('luxon');
 const { parseGid } = require('@shopify/admin-graphql-api-utilities');
@@ -20,24 +21,648 @@ const {
 	// dateIsBetweenTheLastDaysOfTheMonth
 } = require('../helpers');
 
+const { withRequestValidation } = require('./subscriptions-validation');
+const subscriptionsAuthorization = require('./subscriptions-authorization');
+const {
+	getRegionForCountry,
+	getPlanRegion,
+	getRegionPlanId,
+	assertPlanMatchesCountry,
+	findAddonPlanId,
+	getPlanTerm,
+	getAdjacentTermPlanIds,
+} = require('./plan-catalog');
+const {
+	readMetaData,
+	getSubscriptionType,
+	readSubscriptions,
+	malformedSubscriptionsError,
+	buildMetaData,
+} = require('./subscription-meta-data');
+const {
+	RETENTION_OFFER_STATUS,
+	getEligibleRetentionOffers,
+} = require('./retention-offers');
+
+// Idempotency-Key responses are kept for 24h by default
+const IDEMPOTENCY_KEY_TTL =
+	parseInt(process.env.IDEMPOTENCY_KEY_TTL, 10) || 24 * 60 * 60;
+
+// Idempotency-Key in-progress lock -> freed after 1 minute if the request never finished
+const IDEMPOTENCY_LOCK_TTL = 60;
+
+// Request id -> taken from X-Request-Id or generated once per request
+function getRequestId(req) {
+	if (!req.requestId) {
+		req.requestId = req.get('X-Request-Id') || crypto.randomUUID();
+	}
+
+	return req.requestId;
+}
+
+// Audit log actor -> member (logged-in customer) or admin (authenticated user)
+// Webhooks record { type: 'system', id: <source> }
+function getAuditActor(req, type = 'member') {
+	if (type === 'admin') {
+		return {
+			type,
+			id: get(req, 'user.id', null) || get(req, 'user.email', null),
+		};
+	}
+
+	return { type, id: get(req, 'cbCustomerId', null) };
+}
+
+// rotms_swap_products quantity columns by inventory bucket
+const INVENTORY_BUCKET_COLUMNS = {
+	existingsub: 'available_existingsub_quantity',
+	newsub: 'available_newsub_quantity',
+	swap: 'available_swap_quantity',
+};
+
+// swap_reservations statuses
+const SWAP_RESERVATION_STATUS = {
+	active: 1,
+	consumed: 2,
+	released: 3,
+};
+
+// membership_credits entry types
+const MEMBERSHIP_CREDIT_TYPES = {
+	issued: 'issued',
+	reversed: 'reversed',
+};
+
+// Swap for credit -> member gets membership credits instead of a record
+function isSwapForCreditProduct(productId) {
+	return (
+		!!productId &&
+		parseInt(productId, 10) ===
+			parseInt(process.env.SWAP_FOR_CREDIT_PRODUCT_ID, 10)
+	);
+}
+
+// Malformed meta_data is reported once a day per subscription
+const MALFORMED_REPORT_INTERVAL = 24 * 60 * 60;
+
+// rotm_reassignments -> subscriptions scanned per batch
+const REASSIGNMENT_BATCH_SIZE = 100;
+
+// Expired swap reservations released per sweep (sweepExpiredSwapReservations)
+const SWAP_RESERVATION_SWEEP_SIZE = 100;
+
+// swap_waitlist statuses
+const SWAP_WAITLIST_STATUS = {
+	waiting: 1,
+	offered: 2,
+	fulfilled: 3,
+	expired: 4,
+	// Offer email could not be queued
+	failed: 5,
+};
+
+// Inventory ledger reasons of a subscription's record
+// - returned: cancelled/paused -> the record went back to inventory
+// - taken back: reactivated -> the record was taken from inventory again
+const RECORD_RETURNED_REASONS = [
+	'subscription_cancelled',
+	'subscription_paused',
+	'chargebee_subscription_cancelled',
+];
+const RECORD_TAKEN_BACK_REASONS = ['chargebee_subscription_reactivated'];
+
+// Chargebee events that change inventory or the swaps dashboard
+const CHARGEBEE_WEBHOOK_EVENTS = [
+	'subscription_cancelled',
+	'subscription_reactivated',
+	'subscription_changed',
+];
+
+// Record month -> swaps and feedback are given for next month's record
+function getRecordMonth() {
+	const dateNow = DateTime.local().plus({ month: 1 });
+
+	return {
+		month: dateNow.toFormat('MM'),
+		year: dateNow.toFormat('yyyy'),
+		monthName: dateNow.toFormat('MMMM'),
+	};
+}
+
+// CSV value -> quoted when needed, formulas are escaped for spreadsheets
+function toCSVValue(value) {
+	if (value === null || value === undefined) return '';
+
+	let str = String(value);
+
+	if (/^[=+\-@]/.test(str)) {
+		str = `'${str}`;
+	}
+
+	return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// Billing history document -> same shape for invoices and credit notes
+function formatBillingDocument(type, document) {
+	return {
+		id: document.id,
+		type,
+		subscription_id: document.subscription_id || null,
+		reference_invoice_id: document.reference_invoice_id || null,
+		date: document.date,
+		status: document.status,
+		currency_code: document.currency_code,
+		total: document.total,
+		amount_paid: get(document, 'amount_paid', null),
+		amount_due: get(document, 'amount_due', null),
+		line_items: (document.line_items || []).map((f) => ({
+			description: f.description,
+			quantity: f.quantity,
+			amount: f.amount,
+			discount_amount: f.discount_amount,
+			date_from: f.date_from,
+			date_to: f.date_to,
+		})),
+	};
+}
+
+// Billing history document types
+const BILLING_DOCUMENT_TYPES = ['invoice', 'credit_note'];
+
+// Billing history cursor -> position on each document type's list
+// - { offset: Chargebee next_offset, skip: documents already listed from it }
+// - null when the type has no more documents
+function encodeBillingCursor(cursors) {
+	return Buffer.from(JSON.stringify(cursors)).toString('base64');
+}
+
+function decodeBillingCursor(offset) {
+	try {
+		const cursors = JSON.parse(Buffer.from(offset, 'base64').toString());
+
+		if (cursors && typeof cursors === 'object') return cursors;
+	} catch (err) {
+		// Invalid cursor -> rejected below
+	}
+
+	const err = new Error('Invalid billing history offset.');
+	err.status = 422;
+	throw err;
+}
+
+// Invoice estimate -> member facing discount labels
+function formatInvoiceEstimate(invoiceEstimate) {
+	const discounts = get(invoiceEstimate, 'discounts', false);
+	let subtotalAfterDiscounts = get(invoiceEstimate, 'sub_total', false);
+
+	if (discounts) {
+		discounts.forEach((discount) => {
+			if (discount.description.includes('PROMO')) {
+				subtotalAfterDiscounts -= discount.amount;
+				discount.description = 'Renewal Offer';
+			}
+			if (discount.description.includes('Promotional Credits')) {
+				subtotalAfterDiscounts -= discount.amount;
+				discount.description = 'Membership Credits';
+			}
+		});
+	}
+
+	return {
+		subtotal: get(invoiceEstimate, 'sub_total', false),
+		subtotalAfterDiscounts,
+		discounts,
+		total: get(invoiceEstimate, 'total', false),
+		taxes: get(invoiceEstimate, 'taxes', false),
+	};
+}
+
+// Send rows as a CSV attachment
+function sendCSV(res, filename, columns, rows) {
+	const csv = [
+		columns.join(','),
+		...rows.map((row) => columns.map((f) => toCSVValue(row[f])).join(',')),
+	].join('\n');
+
+	res.set('Content-Type', 'text/csv');
+	res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+	return res.status(200).send(csv);
+}
+
 function subscriptionsController(shopifyService, chargebeeService) {
+	// Ownership checks -> caller must own the targeted customer/subscriptions
+	const { withOwnershipChecks } = subscriptionsAuthorization(
+		shopifyService,
+		chargebeeService
+	);
+
+	// Make a POST handler safe to retry with an Idempotency-Key header
+	// - requests without the header run as usual
+	// - the first response is stored on idempotency_keys and replayed for the same key
+	// - the same key with a different body is rejected
+	// - failed requests release the key so they can be retried
+	// - a committed request stores its response right away
+	//   (completeIdempotencyKey), so a later failure can't release the key
+	// - a request that never finished (e.g. crashed) frees its key after IDEMPOTENCY_LOCK_TTL
+	//
+	// Keys are stored on MySQL -> RedisUtil only exposes the VMPQueue job
+	// queue, and the key lock needs an atomic insert-or-take-over
+	function withIdempotencyKey(scope, handler) {
+		return async function idempotentHandler(req, res, next) {
+			const idempotencyKey = req.get('Idempotency-Key');
+
+			if (!idempotencyKey) return handler(req, res, next);
+
+			try {
+				// Connect to DB
+				const pool = DB.getInstance();
+				const bodyHash = crypto
+					.createHash('sha256')
+					.update(JSON.stringify(req.body || {}))
+					.digest('hex');
+
+				// Lock the key while the first request is in progress
+				const [{ affectedRows: inserted }] = await pool.query(
+					`INSERT IGNORE INTO idempotency_keys
+                        (scope, idempotency_key, body_hash, status, locked_until, expires_at, created_at)
+                        VALUES (?, ?, ?, 'processing', DATE_ADD(NOW(), INTERVAL ? SECOND),
+                            DATE_ADD(NOW(), INTERVAL ? SECOND), ?)`,
+					[
+						scope,
+						idempotencyKey,
+						bodyHash,
+						IDEMPOTENCY_LOCK_TTL,
+						IDEMPOTENCY_KEY_TTL,
+						getCurrentTS(),
+					]
+				);
+
+				let locked = inserted === 1;
+
+				// Take over an expired key or an abandoned lock
+				if (!locked) {
+					const [{ affectedRows: updated }] = await pool.query(
+						`UPDATE idempotency_keys
+                            SET body_hash = ?, status = 'processing', response_status = NULL,
+                                response_body = NULL,
+                                locked_until = DATE_ADD(NOW(), INTERVAL ? SECOND),
+                                expires_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+                            WHERE scope = ? AND idempotency_key = ?
+                                AND (expires_at < NOW()
+                                    OR (status = 'processing' AND locked_until < NOW()))`,
+						[
+							bodyHash,
+							IDEMPOTENCY_LOCK_TTL,
+							IDEMPOTENCY_KEY_TTL,
+							scope,
+							idempotencyKey,
+						]
+					);
+
+					locked = updated === 1;
+				}
+
+				if (!locked) {
+					const [[stored]] = await pool.query(
+						`SELECT body_hash, status, response_status, response_body
+                            FROM idempotency_keys
+                            WHERE scope = ? AND idempotency_key = ?`,
+						[scope, idempotencyKey]
+					);
+
+					if (!stored || stored.body_hash !== bodyHash) {
+						const err = new Error(
+							'Idempotency-Key was already used with a different request.'
+						);
+						err.status = 422;
+						throw err;
+					}
+
+					if (stored.status !== 'completed') {
+						const err = new Error(
+							'A request with this Idempotency-Key is still in progress.'
+						);
+						err.status = 409;
+						throw err;
+					}
+
+					// Replay stored response
+					res.set('Idempotent-Replayed', 'true');
+					return res
+						.status(stored.response_status)
+						.send(JSON.parse(stored.response_body));
+				}
+
+				// Release the key -> the request can be retried
+				const release = () =>
+					// eslint-disable-next-line implicit-arrow-linebreak
+					pool
+						.query(
+							`DELETE FROM idempotency_keys
+                                WHERE scope = ? AND idempotency_key = ? AND status = 'processing'`,
+							[scope, idempotencyKey]
+						)
+						.catch(() => null);
+
+				const send = res.send.bind(res);
+
+				// Store the response before sending it
+				res.send = async (body) => {
+					res.send = send;
+
+					try {
+						await pool.query(
+							`UPDATE idempotency_keys
+                                SET status = 'completed', response_status = ?, response_body = ?,
+                                    locked_until = NULL
+                                WHERE scope = ? AND idempotency_key = ?`,
+							[
+								res.statusCode,
+								JSON.stringify(body),
+								scope,
+								idempotencyKey,
+							]
+						);
+					} catch (err) {
+						await release();
+					}
+
+					return send(body);
+				};
+
+				// Committed requests -> completeIdempotencyKey
+				req.idempotency = { scope, idempotencyKey };
+
+				// Release the key on error
+				return handler(req, res, async (error) => {
+					res.send = send;
+					await release();
+					return next(error);
+				});
+			} catch (error) {
+				return next(error);
+			}
+		};
+	}
+
+	// Store the response of a committed request on its Idempotency-Key
+	// A retry gets this response even if a step after the commit fails
+	async function completeIdempotencyKey(req, status, body) {
+		if (!req.idempotency) return;
+
+		const { scope, idempotencyKey } = req.idempotency;
+
+		try {
+			const pool = DB.getInstance();
+			await pool.query(
+				`UPDATE idempotency_keys
+                    SET status = 'completed', response_status = ?, response_body = ?,
+                        locked_until = NULL
+                    WHERE scope = ? AND idempotency_key = ?`,
+				[status, JSON.stringify(body), scope, idempotencyKey]
+			);
+		} catch (err) {
+			// Stored again when the response is sent
+		}
+	}
+
+	// Saga-style compensation log for a single request
+	// - every Chargebee/queue side effect registers its undo step
+	// - on failure the steps are undone in reverse order
+	// - steps after the commit run with afterCommit -> never undone
+	// - the outcome is stored on subscription_compensations for auditing
+	function createCompensationLog(obj) {
+		const { requestId, scope, cbCustomerId } = obj;
+		const steps = [];
+
+		// Store an outcome on subscription_compensations
+		async function storeOutcome(outcome, error, results) {
+			const pool = DB.getInstance();
+			await pool.query('INSERT INTO subscription_compensations SET ?', [
+				{
+					request_id: requestId,
+					scope,
+					cb_customer_id: cbCustomerId,
+					error: get(error, 'message', null),
+					steps: JSON.stringify(results),
+					outcome,
+					created_at: getCurrentTS(),
+					status: 1,
+				},
+			]);
+		}
+
+		// Register a completed side effect and its undo step
+		function add(type, data, undo) {
+			steps.push({ type, data, undo });
+		}
+
+		// Undo all registered side effects
+		// The failed request is recorded even if there was nothing to undo
+		async function compensate(error) {
+			const results = [];
+
+			// eslint-disable-next-line no-restricted-syntax
+			for (const step of [...steps].reverse()) {
+				try {
+					// eslint-disable-next-line no-await-in-loop
+					await step.undo();
+					results.push({
+						type: step.type,
+						data: step.data,
+						compensated: true,
+					});
+				} catch (err) {
+					results.push({
+						type: step.type,
+						data: step.data,
+						compensated: false,
+						error: err.message,
+					});
+				}
+			}
+
+			let outcome = 'partially_compensated';
+
+			if (results.length === 0) {
+				outcome = 'nothing_to_compensate';
+			} else if (results.every((f) => f.compensated)) {
+				outcome = 'compensated';
+			}
+
+			// Never hide the original error if the log can't be stored
+			// -> the outcome goes with the error that is thrown
+			try {
+				await storeOutcome(outcome, error, results);
+			} catch (err) {
+				if (error) {
+					error.compensation = {
+						outcome,
+						steps: results,
+						log_error: err.message,
+					};
+				}
+			}
+
+			return results;
+		}
+
+		// Run a step of a committed request (e.g. a queue job)
+		// The changes are live, so a failed step is recorded (post_commit_failed)
+		// and never fails the request
+		async function afterCommit(type, data, step) {
+			try {
+				await step();
+			} catch (error) {
+				try {
+					await storeOutcome('post_commit_failed', error, [
+						{
+							type,
+							data,
+							compensated: false,
+							error: error.message,
+						},
+					]);
+				} catch (err) {
+					// Nothing left to record it on
+				}
+			}
+		}
+
+		return { add, compensate, afterCommit };
+	}
+
+	// Adjust rotms_swap_products quantities and record every change on the inventory ledger
+	// - adjustments: deltas by bucket, e.g. { existingsub: -1, swap: 1 }
+	// - product is matched by productId or swapVariantId
+	// - swapAbove: only update if available_swap_quantity is above this value
+	// - returns the number of updated rows and the product id
+	async function adjustSwapProductInventory(obj) {
+		const {
+			connection,
+			rotmId,
+			productId,
+			swapVariantId,
+			adjustments,
+			reason,
+			subscriptionId = null,
+			requestId = null,
+			swapAbove,
+		} = obj;
+
+		const buckets = Object.keys(adjustments).filter(
+			(bucket) => adjustments[bucket]
+		);
+		const ssql = buckets
+			.map((bucket) => {
+				const column = INVENTORY_BUCKET_COLUMNS[bucket];
+				return `${column} = ${column} + ${parseInt(
+					adjustments[bucket],
+					10
+				)}`;
+			})
+			.join(', ');
+
+		const matchColumn = productId ? 'product_id' : 'swap_variant_id';
+		const params = [rotmId, productId || swapVariantId];
+		let guardSql = '';
+
+		if (swapAbove !== undefined) {
+			guardSql = 'AND available_swap_quantity > ?';
+			params.push(swapAbove);
+		}
+
+		// UPDATE DB
+		const [{ affectedRows }] = await connection.query(
+			`UPDATE rotms_swap_products
+                SET ${ssql}, updated_at = current_timestamp
+                WHERE rotm = ? AND ${matchColumn} = ? ${guardSql} AND status = 1`,
+			params
+		);
+
+		if (!affectedRows) return { affectedRows, productId };
+
+		// Product id -> when matched by swap variant id
+		let ledgerProductId = productId;
+
+		if (!ledgerProductId) {
+			const [rows] = await connection.query(
+				`SELECT product_id
+                    FROM rotms_swap_products
+                    WHERE rotm = ? AND swap_variant_id = ? AND status = 1
+                    LIMIT 0,1`,
+				[rotmId, swapVariantId]
+			);
+
+			ledgerProductId = get(rows, '[0].product_id', null);
+		}
+
+		// INSERT ledger entries -> same transaction as the adjustment
+		await connection.query(
+			`INSERT INTO rotms_swap_products_ledger
+                (rotm, product_id, bucket, delta, reason, subscription_id, request_id, created_at)
+                VALUES ?`,
+			[
+				buckets.map((bucket) => [
+					rotmId,
+					ledgerProductId,
+					bucket,
+					parseInt(adjustments[bucket], 10),
+					reason,
+					subscriptionId,
+					requestId,
+					getCurrentTS(),
+				]),
+			]
+		);
+
+		return { affectedRows, productId: ledgerProductId };
+	}
+
 	// Update cancelled subscription inventory both on our DB and Shopify
 	// If product is swapped: swap +1
 	// If product in not swapped: existingsub -1 newsub +1
+	// Reactivated subscriptions take the record back (reverse adjustments)
 	async function updateCancelledSubscriptionInventory(obj) {
-		const { connection, currentRotmId, productId, isSwappedProduct } = obj;
-		const ssql = isSwappedProduct
-			? 'available_swap_quantity = available_swap_quantity + 1'
-			: `available_existingsub_quantity = available_existingsub_quantity - 1,
-            available_newsub_quantity = available_newsub_quantity + 1`;
+		const {
+			connection,
+			currentRotmId,
+			productId,
+			isSwappedProduct,
+			subscriptionId,
+			requestId,
+			reason = 'subscription_cancelled',
+			reactivated = false,
+		} = obj;
+		const sign = reactivated ? -1 : 1;
 
 		// UPDATE DB
-		await connection.query(
-			`UPDATE rotms_swap_products
-                SET ${ssql}, updated_at = current_timestamp
-                WHERE rotm = ? AND product_id = ? AND status = 1`,
-			[currentRotmId, productId]
-		);
+		// Reactivated swapped record -> swap -1 only if available
+		const { affectedRows } = await adjustSwapProductInventory({
+			connection,
+			rotmId: currentRotmId,
+			productId,
+			adjustments: isSwappedProduct
+				? { swap: sign }
+				: { existingsub: -sign, newsub: sign },
+			reason,
+			subscriptionId,
+			requestId,
+			swapAbove: reactivated && isSwappedProduct ? 0 : undefined,
+		});
+
+		if (reactivated && isSwappedProduct && !affectedRows) return;
+
+		// Returned swap unit -> offer to the waitlist
+		if (isSwappedProduct && !reactivated) {
+			await offerSwapUnitToWaitlist({
+				connection,
+				rotmId: currentRotmId,
+				productId,
+				requestId,
+			});
+		}
 
 		// GET Shopify swap variant ID
 		const variants = await shopifyService.fetchShopifyProductVariants(
@@ -61,7 +686,7 @@ function subscriptionsController(shopifyService, chargebeeService) {
 			const VMPQueue = new RedisUtil.VMPQueue();
 			await VMPQueue.addToQueue('adjust_variant_inventory_job', {
 				variantId: parseInt(parseGid(swapVariantObj.id), 10),
-				availableAdjustment: 1,
+				availableAdjustment: sign,
 			});
 		}
 
@@ -82,110 +707,594 @@ function subscriptionsController(shopifyService, chargebeeService) {
 			const VMPQueue = new RedisUtil.VMPQueue();
 			await VMPQueue.addToQueue('adjust_variant_inventory_job', {
 				variantId: parseInt(parseGid(existingSubVariantObj.id), 10),
-				availableAdjustment: -1,
+				availableAdjustment: -sign,
 			});
 
 			// newsub +1
 			await VMPQueue.addToQueue('adjust_variant_inventory_job', {
 				variantId: parseInt(parseGid(newSubVariantObj.id), 10),
-				availableAdjustment: 1,
+				availableAdjustment: sign,
 			});
 		}
 	}
 
-	// Fetch all customer's subscriptions
-	async function getSubscriptions(req, res, next) {
-		try {
-			const { customer_id: cbCustomerId } = req.query;
+	// Return reserved swap units to inventory
+	async function releaseSwapReservations(obj) {
+		const { connection, reservations, reason, requestId } = obj;
 
-			// Validate
-			if (!cbCustomerId) {
-				const err = new Error('Missing params on get subscriptions.');
-				err.status = 422;
-				throw err;
-			}
+		// eslint-disable-next-line no-restricted-syntax
+		for (const reservation of reservations) {
+			// UPDATE DB
+			// swap +1
+			// eslint-disable-next-line no-await-in-loop
+			await adjustSwapProductInventory({
+				connection,
+				rotmId: reservation.rotm,
+				productId: reservation.product_id,
+				adjustments: { swap: 1 },
+				reason,
+				subscriptionId: reservation.subscription_id,
+				requestId,
+			});
 
-			// Return obj
-			const respObj = {};
+			// eslint-disable-next-line no-await-in-loop
+			await connection.query(
+				`UPDATE swap_reservations
+                    SET status = ?, updated_at = current_timestamp
+                    WHERE id = ? LIMIT 1`,
+				[SWAP_RESERVATION_STATUS.released, reservation.id]
+			);
 
-			const subscriptions =
-				await chargebeeService.getCBCustomerSubscriptions(cbCustomerId);
+			// Unused waitlist offer expires
+			// eslint-disable-next-line no-await-in-loop
+			await connection.query(
+				`UPDATE swap_waitlist
+                    SET status = ?, updated_at = current_timestamp
+                    WHERE swap_reservation_id = ? AND status = ?`,
+				[
+					SWAP_WAITLIST_STATUS.expired,
+					reservation.id,
+					SWAP_WAITLIST_STATUS.offered,
+				]
+			);
 
-			// Normalize
-			const {
-				addons,
-				primarySubscription,
-				primarySubId,
-				primarySubPlanId,
-				primarySubStatus,
-			} = normalizeSubscriptions(subscriptions);
+			// Offer the unit to the next member in line
+			// eslint-disable-next-line no-await-in-loop
+			await offerSwapUnitToWaitlist({
+				connection,
+				rotmId: reservation.rotm,
+				productId: reservation.product_id,
+				requestId,
+			});
+		}
 
-			if (addons) {
-				respObj.cb_addons = addons;
-			}
+		return reservations;
+	}
 
-			if (primarySubscription) {
-				respObj.cb_primary_subscription = primarySubscription;
+	// Return expired swap reservations to inventory
+	// Runs before every reservation, swap and track change
+	// - only the reservations of the touched record (productId or
+	//   swapVariantId) and/or subscription are locked and released
+	// - all: every expired reservation, up to SWAP_RESERVATION_SWEEP_SIZE
+	//   (sweepExpiredSwapReservations)
+	async function releaseExpiredSwapReservations(obj) {
+		const {
+			connection,
+			rotmId,
+			productId,
+			swapVariantId,
+			subscriptionId,
+			all = false,
+			requestId,
+		} = obj;
+
+		const conditions = [];
+		const values = [SWAP_RESERVATION_STATUS.active];
+
+		if (productId) {
+			conditions.push('sr.product_id = ?');
+			values.push(productId);
+		}
 
-				// GET Chargebee scheduled changes
-				if (primarySubscription.has_scheduled_changes) {
-					const { subscription: subWithChanges } =
-						await chargebeeService.getCBSubscriptionWithChanges(
-							primarySubId
-						);
+		if (swapVariantId) {
+			conditions.push('rp.swap_variant_id = ?');
+			values.push(swapVariantId);
+		}
 
-					if (subWithChanges.plan_id !== primarySubPlanId) {
-						respObj.cb_has_term_changes = true;
-					}
+		if (subscriptionId) {
+			conditions.push('sr.subscription_id = ?');
+			values.push(subscriptionId);
+		}
 
-					let scBillingPeriod = get(subWithChanges, 'billing_period');
-					let scBillingPeriodUnit = get(
-						subWithChanges,
-						'billing_period_unit'
-					);
+		// Nothing touched -> nothing to sweep
+		if (conditions.length === 0 && !all) return [];
 
-					if (
-						scBillingPeriod === 1 &&
-						scBillingPeriodUnit === 'year'
-					) {
-						scBillingPeriod = 12;
-						scBillingPeriodUnit = 'month';
-					}
+		const conditionSql =
+			conditions.length > 0 ? `AND (${conditions.join(' OR ')})` : '';
+		let rotmCondition = '';
+		let limitSql = '';
 
-					respObj.cb_subscription_with_changes = {
-						billing_period: scBillingPeriod,
-						billing_period_unit: scBillingPeriodUnit,
-					};
-				}
-				// End of GET Chargebee scheduled changes
+		if (rotmId) {
+			rotmCondition = 'AND sr.rotm = ?';
+			values.push(rotmId);
+		}
 
-				// GET Chargebee renewal estimate
-				if (primarySubStatus === 'active') {
-					const estimate =
-						await chargebeeService.getCBSubscriptionRenewalEstimate(
-							primarySubId
-						);
+		if (all) {
+			limitSql = 'ORDER BY sr.id ASC LIMIT ?';
+			values.push(SWAP_RESERVATION_SWEEP_SIZE);
+		}
 
-					if (estimate) {
-						respObj.cb_upcoming_estimate = {
-							sub_total: get(
-								estimate,
-								'invoice_estimate.sub_total'
-							),
-							total: get(estimate, 'invoice_estimate.total'),
-						};
-					}
-				}
-				// End of GET Chargebee renewal estimate
-			}
+		const [rows] = await connection.query(
+			`SELECT sr.id, sr.rotm, sr.product_id, sr.subscription_id
+                FROM swap_reservations sr
+                    LEFT JOIN rotms_swap_products rp
+                    ON rp.rotm = sr.rotm AND rp.product_id = sr.product_id
+                WHERE sr.status = ? AND sr.expires_at <= NOW()
+                    ${conditionSql} ${rotmCondition}
+                ${limitSql}
+                FOR UPDATE OF sr`,
+			values
+		);
 
-			return res.status(200).send(respObj);
-		} catch (error) {
-			return next(error);
+		return releaseSwapReservations({
+			connection,
+			reservations: rows || [],
+			reason: 'swap_reservation_expired',
+			requestId,
+		});
+	}
+
+	// Consume subscription's swap reservation for the selected record
+	// - other active reservations of the subscription are released
+	// - returns the consumed reservation or false
+	async function consumeSwapReservation(obj) {
+		const { connection, subscriptionId, productId, requestId } = obj;
+
+		const [rows] = await connection.query(
+			`SELECT id, rotm, product_id, subscription_id
+                FROM swap_reservations
+                WHERE subscription_id = ? AND status = ? AND expires_at > NOW()
+                FOR UPDATE`,
+			[subscriptionId, SWAP_RESERVATION_STATUS.active]
+		);
+
+		const reservations = rows || [];
+		const reservation =
+			reservations.find(
+				(f) => parseInt(f.product_id, 10) === parseInt(productId, 10)
+			) || false;
+
+		await releaseSwapReservations({
+			connection,
+			reservations: reservations.filter((f) => f !== reservation),
+			reason: 'swap_reservation_replaced',
+			requestId,
+		});
+
+		if (reservation) {
+			await connection.query(
+				`UPDATE swap_reservations
+                    SET status = ?, updated_at = current_timestamp
+                    WHERE id = ? LIMIT 1`,
+				[SWAP_RESERVATION_STATUS.consumed, reservation.id]
+			);
+
+			// Waitlist offer fulfilled -> if any
+			await connection.query(
+				`UPDATE swap_waitlist
+                    SET status = ?, updated_at = current_timestamp
+                    WHERE swap_reservation_id = ? AND status = ?`,
+				[
+					SWAP_WAITLIST_STATUS.fulfilled,
+					reservation.id,
+					SWAP_WAITLIST_STATUS.offered,
+				]
+			);
 		}
+
+		return reservation;
 	}
 
-	// Create subscription for customer
+	// Offer a returned swap unit to the next member on the product's waitlist
+	// - the unit is held for the member as a swap reservation
+	// - the offer email is queued after commit (queueSwapWaitlistOfferEmails)
+	// - returns the offer or false
+	async function offerSwapUnitToWaitlist(obj) {
+		const { connection, rotmId, productId, requestId } = obj;
+
+		// SELECT next member in line
+		const [wRows] = await connection.query(
+			`SELECT id, subscription_id, cb_customer_id, email
+                FROM swap_waitlist
+                WHERE rotm = ? AND product_id = ? AND status = ?
+                ORDER BY id ASC
+                LIMIT 0,1
+                FOR UPDATE`,
+			[rotmId, productId, SWAP_WAITLIST_STATUS.waiting]
+		);
+
+		const waitlistEntry = get(wRows, '[0]', false);
+
+		if (!waitlistEntry) return false;
+
+		// Offer length can be set from env variables (SWAP_WAITLIST_OFFER_MINUTES)
+		const offerMinutes =
+			parseInt(process.env.SWAP_WAITLIST_OFFER_MINUTES, 10) || 60;
+		// Inventory stop flag can be set from env variables (INVENTORY_STOP_QUANTITY)
+		const inventoryStopFlag = process.env.INVENTORY_STOP_QUANTITY || 0;
+
+		// UPDATE DB
+		// swap -1 -> hold the returned unit for the member
+		const { affectedRows } = await adjustSwapProductInventory({
+			connection,
+			rotmId,
+			productId,
+			adjustments: { swap: -1 },
+			reason: 'swap_waitlist_offer',
+			subscriptionId: waitlistEntry.subscription_id,
+			requestId,
+			swapAbove: inventoryStopFlag,
+		});
+
+		if (!affectedRows) return false;
+
+		// INSERT reservation
+		const [{ insertId: reservationId }] = await connection.query(
+			`INSERT INTO swap_reservations
+                SET ?, expires_at = DATE_ADD(NOW(), INTERVAL ? MINUTE)`,
+			[
+				{
+					subscription_id: waitlistEntry.subscription_id,
+					rotm: rotmId,
+					product_id: productId,
+					request_id: requestId,
+					created_at: getCurrentTS(),
+					status: SWAP_RESERVATION_STATUS.active,
+				},
+				offerMinutes,
+			]
+		);
+
+		// UPDATE waitlist entry
+		await connection.query(
+			`UPDATE swap_waitlist
+                SET status = ?, swap_reservation_id = ?, offered_at = current_timestamp,
+                    updated_at = current_timestamp
+                WHERE id = ? LIMIT 1`,
+			[SWAP_WAITLIST_STATUS.offered, reservationId, waitlistEntry.id]
+		);
+
+		return {
+			...waitlistEntry,
+			product_id: productId,
+			swap_reservation_id: reservationId,
+			expires_in: offerMinutes * 60,
+		};
+	}
+
+	// Send the waitlist offer emails of a committed request
+	// Offers are read back from the DB, so only committed offers are emailed
+	// An offer whose email can't be queued is marked failed -> its held unit
+	// returns to inventory when the reservation expires
+	async function queueSwapWaitlistOfferEmails(obj) {
+		const { requestId } = obj;
+
+		const pool = DB.getInstance();
+		const [rows] = await pool.query(
+			`SELECT w.id, w.email, w.subscription_id, w.product_id,
+                    GREATEST(TIMESTAMPDIFF(SECOND, NOW(), sr.expires_at), 0) AS expires_in
+                FROM swap_waitlist w
+                    INNER JOIN swap_reservations sr ON sr.id = w.swap_reservation_id
+                WHERE sr.request_id = ? AND w.status = ?`,
+			[requestId, SWAP_WAITLIST_STATUS.offered]
+		);
+
+		const VMPQueue = new RedisUtil.VMPQueue();
+
+		// eslint-disable-next-line no-restricted-syntax
+		for (const offer of rows || []) {
+			try {
+				// Add to Queue -> Send waitlist offer email
+				// eslint-disable-next-line no-await-in-loop
+				await VMPQueue.addToQueue(
+					'send_swap_waitlist_offer_email_job',
+					{
+						email: offer.email,
+						subscription_id: offer.subscription_id,
+						product_id: offer.product_id,
+						expires_in: offer.expires_in,
+					},
+					5
+				);
+			} catch (err) {
+				// eslint-disable-next-line no-await-in-loop
+				await pool.query(
+					`UPDATE swap_waitlist
+                        SET status = ?, updated_at = current_timestamp
+                        WHERE id = ? AND status = ? LIMIT 1`,
+					[
+						SWAP_WAITLIST_STATUS.failed,
+						offer.id,
+						SWAP_WAITLIST_STATUS.offered,
+					]
+				);
+			}
+		}
+	}
+
+	// Record a subscription mutation on the audit log
+	// - before/after meta_data and other changed fields (changes)
+	// - inventory effects are the request's ledger entries for the subscription
+	// - runs on the caller's connection, so it is part of its transaction
+	// - a failed entry never fails (or rolls back) the change, it is queued
+	//   for a retry instead (record_subscription_audit_entry_job), the job
+	//   reads the inventory from the ledger again
+	async function recordAuditEntry(obj) {
+		const {
+			connection,
+			actor,
+			action,
+			subscriptionId,
+			cbCustomerId,
+			before = null,
+			after = null,
+			changes = null,
+			requestId,
+		} = obj;
+
+		const entry = {
+			action,
+			actor_type: actor.type,
+			actor_id: actor.id ? String(actor.id) : null,
+			subscription_id: subscriptionId,
+			cb_customer_id: cbCustomerId || null,
+			before_meta_data: before ? JSON.stringify(before) : null,
+			after_meta_data: after ? JSON.stringify(after) : null,
+			changes: changes ? JSON.stringify(changes) : null,
+			request_id: requestId,
+			created_at: getCurrentTS(),
+		};
+
+		try {
+			const db = connection || DB.getInstance();
+
+			const [inventory] = await db.query(
+				`SELECT rotm, product_id, bucket, delta, reason
+                    FROM rotms_swap_products_ledger
+                    WHERE request_id = ? AND subscription_id = ?
+                    ORDER BY id`,
+				[requestId, subscriptionId]
+			);
+
+			await db.query('INSERT INTO subscription_audit_log SET ?', [
+				{
+					...entry,
+					inventory:
+						inventory && inventory.length > 0
+							? JSON.stringify(inventory)
+							: null,
+				},
+			]);
+		} catch (error) {
+			// Not stored -> retry
+			try {
+				const VMPQueue = new RedisUtil.VMPQueue();
+				await VMPQueue.addToQueue(
+					'record_subscription_audit_entry_job',
+					{ entry, error: error.message },
+					5
+				);
+			} catch (err) {
+				// Nothing left to record it on
+			}
+		}
+	}
+
+	// Read and normalize customer's subscriptions
+	// - meta_data is upgraded to the current schema version and validated
+	// - malformed subscriptions are left out and reported on the audit log
+	// - with an action (requests that change subscriptions) the request is
+	//   rejected (409) only if a malformed subscription that isn't cancelled
+	//   may be the one it changes:
+	//   - subscriptionId: that subscription is malformed
+	//   - isAllChanged: any live subscription is malformed
+	//   - type (default primary): a malformed one may be of that type (type
+	//     unreadable), the primary only if no valid primary/gift was found
+	async function normalizeCustomerSubscriptions(obj) {
+		const {
+			subscriptions,
+			requestId,
+			action,
+			subscriptionId,
+			isAllChanged = false,
+			type = 'primary',
+		} = obj;
+
+		const { subscriptions: readSubs, malformed } =
+			readSubscriptions(subscriptions);
+
+		if (malformed.length > 0) {
+			await reportMalformedSubscriptions({ malformed, requestId });
+		}
+
+		const normalized = normalizeSubscriptions(readSubs);
+		const liveMalformed = malformed.filter((f) => f.status !== 'cancelled');
+
+		if (action && liveMalformed.length > 0) {
+			let changedMalformed = liveMalformed;
+
+			if (subscriptionId) {
+				changedMalformed = liveMalformed.filter(
+					(f) => f.subscription_id === subscriptionId
+				);
+			} else if (!isAllChanged) {
+				// One primary/gift per customer -> found, so it isn't malformed
+				const types = type === 'primary' ? ['primary', 'gift'] : [type];
+
+				changedMalformed =
+					type === 'primary' && normalized.primarySubscription
+						? []
+						: liveMalformed.filter(
+								(f) => !f.type || types.includes(f.type)
+						  );
+			}
+
+			if (changedMalformed.length > 0) {
+				throw malformedSubscriptionsError(changedMalformed, action);
+			}
+		}
+
+		return {
+			...normalized,
+			subscriptions: readSubs,
+			malformedSubscriptions: malformed,
+		};
+	}
+
+	// Report malformed subscriptions on the audit log
+	// Each subscription is reported once a day (last meta_data_malformed entry),
+	// reporting never fails the request
+	async function reportMalformedSubscriptions(obj) {
+		const { malformed, requestId } = obj;
+
+		try {
+			// Connect to DB
+			const pool = DB.getInstance();
+
+			const [reported] = await pool.query(
+				`SELECT DISTINCT subscription_id
+                    FROM subscription_audit_log
+                    WHERE action = 'meta_data_malformed' AND subscription_id IN (?)
+                        AND created_at >= DATE_SUB(NOW(), INTERVAL ? SECOND)`,
+				[
+					malformed.map((f) => f.subscription_id),
+					MALFORMED_REPORT_INTERVAL,
+				]
+			);
+
+			const reportedIds = (reported || []).map((f) => f.subscription_id);
+
+			await Promise.all(
+				malformed
+					.filter((f) => !reportedIds.includes(f.subscription_id))
+					.map((f) =>
+						// eslint-disable-next-line implicit-arrow-linebreak
+						recordAuditEntry({
+							actor: { type: 'system', id: 'meta_data_reader' },
+							action: 'meta_data_malformed',
+							subscriptionId: f.subscription_id,
+							cbCustomerId: f.cb_customer_id,
+							changes: {
+								status: f.status,
+								type: f.type,
+								errors: f.errors,
+							},
+							requestId,
+						})
+					)
+			);
+		} catch (err) {
+			// Reported on the next read
+		}
+	}
+
+	// Fetch all customer's subscriptions
+	async function getSubscriptions(req, res, next) {
+		try {
+			const { customer_id: cbCustomerId } = req.query;
+
+			// Return obj
+			const respObj = {};
+
+			const subscriptions =
+				await chargebeeService.getCBCustomerSubscriptions(cbCustomerId);
+
+			// Normalize
+			const {
+				addons,
+				primarySubscription,
+				primarySubId,
+				primarySubPlanId,
+				primarySubStatus,
+				malformedSubscriptions,
+			} = await normalizeCustomerSubscriptions({
+				subscriptions,
+				requestId: getRequestId(req),
+			});
+
+			if (addons) {
+				respObj.cb_addons = addons;
+			}
+
+			// Subscriptions that can't be shown -> member is asked to contact support
+			if (malformedSubscriptions.length > 0) {
+				respObj.cb_malformed_subscriptions = malformedSubscriptions.map(
+					(f) => ({ id: f.subscription_id, status: f.status })
+				);
+			}
+
+			if (primarySubscription) {
+				respObj.cb_primary_subscription = primarySubscription;
+
+				// GET Chargebee scheduled changes
+				if (primarySubscription.has_scheduled_changes) {
+					const { subscription: subWithChanges } =
+						await chargebeeService.getCBSubscriptionWithChanges(
+							primarySubId
+						);
+
+					if (subWithChanges.plan_id !== primarySubPlanId) {
+						respObj.cb_has_term_changes = true;
+					}
+
+					let scBillingPeriod = get(subWithChanges, 'billing_period');
+					let scBillingPeriodUnit = get(
+						subWithChanges,
+						'billing_period_unit'
+					);
+
+					if (
+						scBillingPeriod === 1 &&
+						scBillingPeriodUnit === 'year'
+					) {
+						scBillingPeriod = 12;
+						scBillingPeriodUnit = 'month';
+					}
+
+					respObj.cb_subscription_with_changes = {
+						billing_period: scBillingPeriod,
+						billing_period_unit: scBillingPeriodUnit,
+					};
+				}
+				// End of GET Chargebee scheduled changes
+
+				// GET Chargebee renewal estimate
+				if (primarySubStatus === 'active') {
+					const estimate =
+						await chargebeeService.getCBSubscriptionRenewalEstimate(
+							primarySubId
+						);
+
+					if (estimate) {
+						respObj.cb_upcoming_estimate = {
+							sub_total: get(
+								estimate,
+								'invoice_estimate.sub_total'
+							),
+							total: get(estimate, 'invoice_estimate.total'),
+						};
+					}
+				}
+				// End of GET Chargebee renewal estimate
+			}
+
+			return res.status(200).send(respObj);
+		} catch (error) {
+			return next(error);
+		}
+	}
+
+	// Create subscription for customer
 	// - works for primary and addon subscriptions
 	// - primary subscriptions may consist addons of separate tracks
 	async function createSubscription(req, res, next) {
@@ -204,21 +1313,6 @@ function subscriptionsController(shopifyService, chargebeeService) {
 				// swap_window: swapWindow
 			} = req.body;
 
-			// Validate
-			if (
-				!shCustomerId ||
-				!cbCustomerId ||
-				!productId ||
-				!variantId ||
-				!postedTrack
-			) {
-				const err = new Error(
-					'Missing params on create customer subscription.'
-				);
-				err.status = 422;
-				throw err;
-			}
-
 			// Validate type
 			const isValidType = validateSubscriptionType(type);
 
@@ -230,15 +1324,15 @@ function subscriptionsController(shopifyService, chargebeeService) {
 				throw err;
 			}
 
-			// Validate plan ID -> only on primary subscription
-			// Addon plan ID will be calculated later
-			if (type === 'primary' && !planId) {
-				const err = new Error(
-					'Missing plan on create customer subscription.'
-				);
-				err.status = 422;
-				throw err;
-			}
+			// Compensation log -> undo Chargebee subscriptions and inventory jobs on failure
+			const compensationLog = createCompensationLog({
+				requestId: getRequestId(req),
+				scope: 'create_subscription',
+				cbCustomerId,
+			});
+
+			// Swaps analysis jobs -> queued after commit, never for a failed request
+			const swapAnalysisJobs = [];
 
 			// Connect to DB
 			const pool = DB.getInstance();
@@ -320,21 +1414,30 @@ function subscriptionsController(shopifyService, chargebeeService) {
 						cbCustomerId
 					);
 
+				// Upgraded meta_data -> a malformed subscription that may be
+				// an existing subscription of the type rejects the request
+				const { subscriptions: existingSubscriptions } =
+					await normalizeCustomerSubscriptions({
+						subscriptions: cbSubscriptions || [],
+						requestId: getRequestId(req),
+						action: 'create subscription',
+						type,
+					});
+
 				// Validate for existing subscriptions
-				if (cbSubscriptions && cbSubscriptions.length > 0) {
+				if (existingSubscriptions.length > 0) {
 					// In case of primary
 					if (type === 'primary') {
 						// Search for same type primary subscription
-						const primarySubscription = cbSubscriptions.find(
+						const primarySubscription = existingSubscriptions.find(
 							(f) =>
 								// eslint-disable-next-line implicit-arrow-linebreak
 								f.subscription &&
 								['active', 'future', 'non_renewing'].includes(
 									f.subscription.status
 								) &&
-								f.subscription.meta_data &&
-								f.subscription.meta_data.type &&
-								f.subscription.meta_data.type === 'primary'
+								getSubscriptionType(f.subscription) ===
+									'primary'
 						);
 
 						if (primarySubscription) {
@@ -349,14 +1452,13 @@ function subscriptionsController(shopifyService, chargebeeService) {
 					// In case of addon
 					if (type === 'addon') {
 						// Search for future same type and track addon subscription
-						const addonSubscription = cbSubscriptions.find(
+						const addonSubscription = existingSubscriptions.find(
 							(f) =>
 								// eslint-disable-next-line implicit-arrow-linebreak
 								f.subscription &&
 								f.subscription.status === 'future' &&
-								f.subscription.meta_data &&
-								f.subscription.meta_data.type &&
-								f.subscription.meta_data.type === 'addon' &&
+								getSubscriptionType(f.subscription) ===
+									'addon' &&
 								f.subscription.meta_data.product &&
 								f.subscription.meta_data.product.track &&
 								f.subscription.meta_data.product.track.includes(
@@ -374,38 +1476,20 @@ function subscriptionsController(shopifyService, chargebeeService) {
 					}
 				}
 
+				// Shipping region based on country code
+				const countryCode = get(
+					shCustomer,
+					'defaultAddress.country_code',
+					''
+				);
+				const region = getRegionForCountry(countryCode);
+
 				// In case of primary -> Validate address and plan
 				if (type === 'primary') {
-					const defaultAddressCountryName = get(
-						shCustomer,
-						'defaultAddress.country',
-						''
-					);
-
-					if (
-						defaultAddressCountryName === 'United States' &&
-						planId.includes('-international')
-					) {
-						const err = new Error(
-							'You chose an international plan but have a domestic Shipping Address. Please change your plan.'
-						);
-						err.status = 422;
-						throw err;
-					}
-
-					if (
-						defaultAddressCountryName !== 'United States' &&
-						planId.includes('-usa')
-					) {
-						const err = new Error(
-							'You chose a domestic plan but have an international Shipping Address. Please change your plan.'
-						);
-						err.status = 422;
-						throw err;
-					}
+					assertPlanMatchesCountry(planId, countryCode);
 				}
 
-				// Find addon plans:
+				// Find region's addon plan, e.g.:
 				// 1-month-international-new
 				// 1-month-usa-new
 				// GET all CB plans
@@ -419,44 +1503,7 @@ function subscriptionsController(shopifyService, chargebeeService) {
 					throw err;
 				}
 
-				// USA Addon plan
-				const usaAddonPlan = addonPlans.find((item) => {
-					const addonPlanType = get(
-						item,
-						'plan.meta_data.plan_type',
-						false
-					);
-					return addonPlanType === 'usa';
-				});
-
-				// International Addon plan
-				const INAddonPlan = addonPlans.find((item) => {
-					const addonPlanType = get(
-						item,
-						'plan.meta_data.plan_type',
-						false
-					);
-					return addonPlanType === 'international';
-				});
-
-				// Validate addon plans
-				if (!usaAddonPlan || !INAddonPlan) {
-					const err = new Error('Addon CB plans not found!');
-					err.status = 500;
-					throw err;
-				}
-
-				const usaAddonPlanId = get(usaAddonPlan, 'plan.id', false);
-				const INAddonPlanId = get(INAddonPlan, 'plan.id', false);
-
-				// Find addon plan based on country code
-				const countryCode = get(
-					shCustomer,
-					'defaultAddress.country_code',
-					''
-				);
-				const addonPlanId =
-					countryCode === 'US' ? usaAddonPlanId : INAddonPlanId;
+				const addonPlanId = findAddonPlanId(addonPlans, region);
 
 				// SELECT current ROTM
 				const { swapWindow, rotmRecords, currentRotmId } =
@@ -493,33 +1540,29 @@ function subscriptionsController(shopifyService, chargebeeService) {
 					pObj.start_date = firstDayOfNextMonth;
 				}
 
+				// If the type is primary and the product id is not one of the upcoming ->
+				// start with x (swx) -> subscriber gets the record he selected
+				const isSwx =
+					type === 'primary' &&
+					!rotmRecords.some(
+						(f) => f.product_id === parseInt(productId, 10)
+					);
+
 				// Add meta_data
-				pObj.meta_data = {
-					swap_window: swapWindow,
-					new: false,
+				pObj.meta_data = buildMetaData({
 					type,
+					swapWindow,
+					swx: isSwx,
 					product: {
 						id: productId,
 						variant_id: variantId,
 						track,
-						swapped: false,
-						swapped_date: null,
+						swapped: isSwx,
 					},
-				};
+				});
 
 				const addonSubsPostObjs = [];
 				if (type === 'primary') {
-					// If the type is primary and the product id is not one of the upcoming ->
-					// start with x (swx) -> subscriber gets the record he selected
-					const isOnTheUpcoming = rotmRecords.some(
-						(f) => f.product_id === parseInt(productId, 10)
-					);
-
-					if (!isOnTheUpcoming) {
-						pObj.meta_data.swx = true;
-						pObj.meta_data.product.swapped = true;
-					}
-
 					// Store product and variant ids of primary subscription's addons -> if any
 					if (selectedAddons && selectedAddons.length > 0) {
 						// Addon subscription POST objects
@@ -532,16 +1575,6 @@ function subscriptionsController(shopifyService, chargebeeService) {
 
 							const aPObj = {
 								plan_id: addonPlanId,
-								meta_data: {
-									swap_window: swapWindow,
-									new: false,
-									type: 'addon',
-									product: {
-										track: addonTrackNormalized,
-										swapped: false,
-										swapped_date: null,
-									},
-								},
 							};
 
 							// In case of opened swapped window
@@ -556,11 +1589,16 @@ function subscriptionsController(shopifyService, chargebeeService) {
 							);
 
 							if (rotmRecordObj) {
-								aPObj.meta_data.product.id =
-									rotmRecordObj.product_id;
-								// eslint-disable-next-line max-len
-								aPObj.meta_data.product.variant_id =
-									rotmRecordObj.newsub_variant_id;
+								aPObj.meta_data = buildMetaData({
+									type: 'addon',
+									swapWindow,
+									product: {
+										id: rotmRecordObj.product_id,
+										variant_id:
+											rotmRecordObj.newsub_variant_id,
+										track: addonTrackNormalized,
+									},
+								});
 
 								addonSubsPostObjs.push(aPObj);
 							}
@@ -571,6 +1609,9 @@ function subscriptionsController(shopifyService, chargebeeService) {
 				// Initialize queue
 				const VMPQueue = new RedisUtil.VMPQueue();
 
+				// Created subscriptions -> recorded on the audit log
+				const createdSubscriptions = [];
+
 				// Create Primary subscription's addon subscriptions -> if any
 				if (type === 'primary' && addonSubsPostObjs.length > 0) {
 					const addonPromises = addonSubsPostObjs.map(
@@ -632,22 +1673,39 @@ function subscriptionsController(shopifyService, chargebeeService) {
 								throw err;
 							}
 
+							compensationLog.add(
+								'chargebee_subscription',
+								{ subscription_id: addonSubscription.id },
+								() =>
+									// eslint-disable-next-line implicit-arrow-linebreak
+									chargebeeService.cancelCBSubscription(
+										addonSubscription.id,
+										false
+									)
+							);
+							createdSubscriptions.push(addonSubscription);
+
 							if (swapWindow === 'opened') {
-								// Add to Queue -> Sync Swaps Analysis
-								await VMPQueue.addToQueue(
-									'sync_swap_analysis_job',
-									{
-										track: addonTrack,
-										newAddon: true,
-										subscription_id: addonSubscription.id,
-									},
-									5
-								);
+								swapAnalysisJobs.push({
+									track: addonTrack,
+									newAddon: true,
+									subscription_id: addonSubscription.id,
+								});
 							}
 						}
 					);
 
-					await Promise.all(addonPromises);
+					// Wait for every addon -> created ones must be compensated on failure
+					const addonResults = await Promise.allSettled(
+						addonPromises
+					);
+					const addonFailure = addonResults.find(
+						(f) => f.status === 'rejected'
+					);
+
+					if (addonFailure) {
+						throw addonFailure.reason;
+					}
 				}
 
 				// Create CB subscription (primary or addon)
@@ -668,18 +1726,25 @@ function subscriptionsController(shopifyService, chargebeeService) {
 					throw err;
 				}
 
+				compensationLog.add(
+					'chargebee_subscription',
+					{ subscription_id: subscription.id },
+					() =>
+						// eslint-disable-next-line implicit-arrow-linebreak
+						chargebeeService.cancelCBSubscription(
+							subscription.id,
+							false
+						)
+				);
+				createdSubscriptions.push(subscription);
+
 				if (swapWindow === 'opened') {
-					// Add to Queue -> Sync Swaps Analysis
-					await VMPQueue.addToQueue(
-						'sync_swap_analysis_job',
-						{
-							track,
-							newPrimary: type === 'primary',
-							newAddon: type === 'addon',
-							subscription_id: subscription.id,
-						},
-						5
-					);
+					swapAnalysisJobs.push({
+						track,
+						newPrimary: type === 'primary',
+						newAddon: type === 'addon',
+						subscription_id: subscription.id,
+					});
 				}
 
 				// Adjust inventory
@@ -690,13 +1755,15 @@ function subscriptionsController(shopifyService, chargebeeService) {
 					// UPDATE DB (Only when swap window is open)
 					// newsub -1
 					if (swapWindow === 'opened') {
-						await connection.query(
-							`UPDATE rotms_swap_products
-                                SET available_newsub_quantity = available_newsub_quantity - 1,
-                                    updated_at = current_timestamp
-                                WHERE rotm = ? AND product_id = ? AND status = 1`,
-							[currentRotmId, productId]
-						);
+						await adjustSwapProductInventory({
+							connection,
+							rotmId: currentRotmId,
+							productId,
+							adjustments: { newsub: -1 },
+							reason: 'subscription_created',
+							subscriptionId: subscription.id,
+							requestId: getRequestId(req),
+						});
 					}
 
 					// Add to Queue -> Adjust variant's inventory
@@ -704,6 +1771,20 @@ function subscriptionsController(shopifyService, chargebeeService) {
 						variantId,
 						availableAdjustment: -1,
 					});
+
+					compensationLog.add(
+						'inventory_job',
+						{ variantId, availableAdjustment: -1 },
+						() =>
+							// eslint-disable-next-line implicit-arrow-linebreak
+							VMPQueue.addToQueue(
+								'adjust_variant_inventory_job',
+								{
+									variantId,
+									availableAdjustment: 1,
+								}
+							)
+					);
 				}
 
 				// Add club-active-member tag
@@ -711,20 +1792,276 @@ function subscriptionsController(shopifyService, chargebeeService) {
 					await addClubActiveMemberTag(shCustomer, shopifyService);
 				}
 
+				// Audit log
+				// eslint-disable-next-line no-restricted-syntax
+				for (const createdSubscription of createdSubscriptions) {
+					// eslint-disable-next-line no-await-in-loop
+					await recordAuditEntry({
+						connection,
+						actor: getAuditActor(req),
+						action: 'subscription_created',
+						subscriptionId: createdSubscription.id,
+						cbCustomerId,
+						after: createdSubscription.meta_data,
+						changes: {
+							plan_id: createdSubscription.plan_id,
+							status: createdSubscription.status,
+						},
+						requestId: getRequestId(req),
+					});
+				}
+
 				// Commit
 				await connection.commit();
 			} catch (err) {
 				await connection.rollback();
+				await compensationLog.compensate(err);
 				throw err;
 			} finally {
 				connection.release();
 			}
 
+			// Committed -> a retry gets this response
+			await completeIdempotencyKey(req, 200, { success: true });
+
+			// Add to Queue -> Sync Swaps Analysis
+			const VMPQueue = new RedisUtil.VMPQueue();
+			// eslint-disable-next-line no-restricted-syntax
+			for (const swapAnalysisJob of swapAnalysisJobs) {
+				// eslint-disable-next-line no-await-in-loop
+				await compensationLog.afterCommit(
+					'swap_analysis_job',
+					swapAnalysisJob,
+					() =>
+						// eslint-disable-next-line implicit-arrow-linebreak
+						VMPQueue.addToQueue(
+							'sync_swap_analysis_job',
+							swapAnalysisJob,
+							5
+						)
+				);
+			}
+
 			return res.status(200).send({ success: true });
 		} catch (error) {
 			return next(error);
 		}
 	}
+	// Change the track of a subscription (primary or addon)
+	// - if the swap window is open, the previous track's record returns to
+	//   inventory (unless swapped) and the new one is taken
+	async function changeSubscriptionTrack(obj) {
+		const {
+			connection,
+			subscription,
+			cbCustomerId,
+			track,
+			previousTrack,
+			haveSwapped,
+			variantId,
+			requestId,
+			actor,
+			action = 'update subscription track',
+		} = obj;
+
+		const cbSubMetaData = subscription.meta_data;
+
+		if (!cbSubMetaData) {
+			const err = new Error(
+				`No meta data were found on ${action} (subscription_id: ${subscription.id}, customer_id: ${cbCustomerId}).`
+			);
+			err.status = 404;
+			throw err;
+		}
+
+		const cbSubMetaDataTrack = get(cbSubMetaData, 'product.track', false);
+
+		if (!cbSubMetaDataTrack) {
+			const err = new Error(
+				`No meta data track was found on ${action} (subscription_id: ${subscription.id}, customer_id: ${cbCustomerId}).`
+			);
+			err.status = 404;
+			throw err;
+		}
+
+		// meta_data before the change -> audit log
+		const previousMetaData = JSON.parse(JSON.stringify(cbSubMetaData));
+
+		// Set track on meta_data
+		cbSubMetaData.product.track = track;
+
+		// SELECT current ROTM
+		const { swapWindow, currentRotmId } = await fetchCurrentROTM({
+			connection,
+		});
+
+		// If swap window is opened -> check for quantity and update inventory
+		if (swapWindow === 'opened') {
+			// Redis instance
+			const VMPQueue = new RedisUtil.VMPQueue();
+
+			// Return expired reservations of the new record to inventory
+			await releaseExpiredSwapReservations({
+				connection,
+				rotmId: currentRotmId,
+				swapVariantId: variantId,
+				requestId,
+			});
+
+			// Check if available
+			// Inventory stop flag can be set from env variables (INVENTORY_STOP_QUANTITY)
+			const inventoryStopFlag = process.env.INVENTORY_STOP_QUANTITY || 0;
+			const [rows] = await connection.query(
+				`SELECT id
+                            FROM rotms_swap_products
+                            WHERE rotm = ? AND category = 'rotm' AND swap_variant_id = ?
+                                AND available_swap_quantity > ? AND status = 1
+                            LIMIT 0,1`,
+				[currentRotmId, variantId, inventoryStopFlag]
+			);
+
+			// Check if available
+			if (!rows || rows.length === 0) {
+				const err = new Error(`Variant is not available on ${action}`);
+				err.status = 422;
+				throw err;
+			}
+
+			// Update swap +1 on previous product
+			// Only if swap window is open and user have not swapped
+			if (!haveSwapped) {
+				// GET previous track id
+				const [tRows] = await connection.query(
+					`SELECT id FROM tracks
+                                WHERE value = ? AND status = 1
+                                LIMIT 0,1`,
+					[previousTrack]
+				);
+
+				// Previous track id
+				const trackId = get(tRows, '[0].id', false);
+
+				if (trackId) {
+					// Find previous product swap variant id from DB
+					const [sRows] = await connection.query(
+						`SELECT swap_variant_id
+                                    FROM rotms_swap_products
+                                    WHERE rotm = ? AND category = 'rotm' AND track = ? AND status = 1
+                                    LIMIT 0,1`,
+						[currentRotmId, trackId]
+					);
+
+					const previousSwapVariantId = get(
+						sRows,
+						'[0].swap_variant_id',
+						false
+					);
+
+					if (previousSwapVariantId) {
+						// UPDATE DB
+						// swap +1 on previous ROTM
+						const { productId: previousProductId } =
+							await adjustSwapProductInventory({
+								connection,
+								rotmId: currentRotmId,
+								swapVariantId: previousSwapVariantId,
+								adjustments: { swap: 1 },
+								reason: 'track_changed_from',
+								subscriptionId: subscription.id,
+								requestId,
+							});
+
+						// Returned swap unit -> offer to the waitlist
+						if (previousProductId) {
+							await offerSwapUnitToWaitlist({
+								connection,
+								rotmId: currentRotmId,
+								productId: previousProductId,
+								requestId,
+							});
+						}
+
+						// Add to Queue -> Adjust variant's inventory
+						// swap +1
+						await VMPQueue.addToQueue(
+							'adjust_variant_inventory_job',
+							{
+								variantId: previousSwapVariantId,
+								availableAdjustment: 1,
+							}
+						);
+					}
+				}
+			}
+
+			// UPDATE DB
+			// swap -1 on selected
+			await adjustSwapProductInventory({
+				connection,
+				rotmId: currentRotmId,
+				swapVariantId: variantId,
+				adjustments: { swap: -1 },
+				reason: 'track_changed_to',
+				subscriptionId: subscription.id,
+				requestId,
+				swapAbove: 0,
+			});
+
+			// Add to Queue -> Adjust variant's inventory
+			// swap -1
+			await VMPQueue.addToQueue('adjust_variant_inventory_job', {
+				variantId,
+				availableAdjustment: -1,
+			});
+
+			// Add to Queue -> Sync Swaps Analysis (addons)
+			if (getSubscriptionType(subscription) === 'addon') {
+				await VMPQueue.addToQueue(
+					'sync_swap_analysis_job',
+					{
+						track,
+						previousTrack: cbSubMetaDataTrack,
+						trackChanged: true,
+						type: 'addon',
+						subscription_id: subscription.id,
+					},
+					5
+				);
+			}
+		}
+
+		// Update CB subscription with new meta_data/track
+		const { subscription: updatedCBSubscription } =
+			await chargebeeService.updateCBCustomerSubscription(
+				subscription.id,
+				{
+					meta_data: cbSubMetaData,
+				}
+			);
+
+		// Validate
+		if (!updatedCBSubscription || !updatedCBSubscription.id) {
+			const err = new Error(
+				`Subscription was not updated on ${action} (subscription_id: ${subscription.id}, customer_id: ${cbCustomerId}).`
+			);
+			err.status = 500;
+			throw err;
+		}
+
+		// Audit log
+		await recordAuditEntry({
+			connection,
+			actor,
+			action: 'track_changed',
+			subscriptionId: subscription.id,
+			cbCustomerId,
+			before: previousMetaData,
+			after: updatedCBSubscription.meta_data || cbSubMetaData,
+			changes: { track: { from: cbSubMetaDataTrack, to: track } },
+			requestId,
+		});
+	}
+
 	// Update subscription Track
 	async function updateSubscriptionTrack(req, res, next) {
 		try {
@@ -736,15 +2073,6 @@ function subscriptionsController(shopifyService, chargebeeService) {
 				track: postedTrack,
 			} = req.body;
 
-			// Validate
-			if (!cbCustomerId || !variantId || !postedTrack) {
-				const err = new Error(
-					'Missing params on update subscription track.'
-				);
-				err.status = 422;
-				throw err;
-			}
-
 			// Connect to DB
 			const pool = DB.getInstance();
 			const connection = await pool.getConnection();
@@ -775,7 +2103,11 @@ function subscriptionsController(shopifyService, chargebeeService) {
 
 				// Normalize
 				const { primarySubscription } =
-					normalizeSubscriptions(subscriptions);
+					await normalizeCustomerSubscriptions({
+						subscriptions,
+						requestId: getRequestId(req),
+						action: 'update subscription track',
+					});
 
 				if (!primarySubscription) {
 					const err = new Error(
@@ -785,157 +2117,156 @@ function subscriptionsController(shopifyService, chargebeeService) {
 					throw err;
 				}
 
-				const cbSubMetaData = primarySubscription.meta_data;
+				await changeSubscriptionTrack({
+					connection,
+					subscription: primarySubscription,
+					cbCustomerId,
+					track,
+					previousTrack,
+					haveSwapped,
+					variantId,
+					requestId: getRequestId(req),
+					actor: getAuditActor(req),
+				});
 
-				if (!cbSubMetaData) {
-					const err = new Error(
-						`No meta data were found on update subscription track (subscription_id: ${primarySubscription.id}, customer_id: ${cbCustomerId}).`
-					);
-					err.status = 404;
-					throw err;
-				}
+				// Commit
+				await connection.commit();
 
-				const cbSubMetaDataTrack = get(
-					cbSubMetaData,
-					'product.track',
-					false
-				);
+				// Waitlist offers of the request -> email
+				await queueSwapWaitlistOfferEmails({
+					requestId: getRequestId(req),
+				});
+			} catch (err) {
+				await connection.rollback();
+				throw err;
+			} finally {
+				connection.release();
+			}
 
-				if (!cbSubMetaDataTrack) {
-					const err = new Error(
-						`No meta data track was found on update subscription track (subscription_id: ${primarySubscription.id}, customer_id: ${cbCustomerId}).`
-					);
-					err.status = 404;
-					throw err;
-				}
+			return res.status(200).send({ success: true });
+		} catch (error) {
+			return next(error);
+		}
+	}
 
-				// Set track on meta_data
-				cbSubMetaData.product.track = track;
+	// Update addon subscription Track
+	// - the track can't already be on the primary or another addon
+	async function updateAddonSubscriptionTrack(req, res, next) {
+		try {
+			const {
+				cb_customer_id: cbCustomerId,
+				subscription_id: cbSubscriptionId,
+				variant_id: variantId,
+				track: postedTrack,
+			} = req.body;
 
-				// SELECT current ROTM
-				const { swapWindow, currentRotmId } = await fetchCurrentROTM({
+			// Connect to DB
+			const pool = DB.getInstance();
+			const connection = await pool.getConnection();
+
+			// Begin Transaction
+			await connection.beginTransaction();
+
+			try {
+				// Validate track
+				const track = await checkIfTrackIsValid({
 					connection,
+					track: postedTrack,
 				});
 
-				// If swap window is opened -> check for quantity and update inventory
-				if (swapWindow === 'opened') {
-					// Redis instance
-					const VMPQueue = new RedisUtil.VMPQueue();
-
-					// Check if available
-					// Inventory stop flag can be set from env variables (INVENTORY_STOP_QUANTITY)
-					const inventoryStopFlag =
-						process.env.INVENTORY_STOP_QUANTITY || 0;
-					const [rows] = await connection.query(
-						`SELECT id
-                            FROM rotms_swap_products
-                            WHERE rotm = ? AND category = 'rotm' AND swap_variant_id = ?
-                                AND available_swap_quantity > ? AND status = 1
-                            LIMIT 0,1`,
-						[currentRotmId, variantId, inventoryStopFlag]
+				if (!track) {
+					const err = new Error(
+						'Invalid track on update addon subscription track.'
 					);
+					err.status = 422;
+					throw err;
+				}
 
-					// Check if available
-					if (!rows || rows.length === 0) {
-						const err = new Error(
-							'Variant is not available on update subscription track'
-						);
-						err.status = 422;
-						throw err;
-					}
-
-					// Update swap +1 on previous product
-					// Only if swap window is open and user have not swapped
-					if (!haveSwapped) {
-						// GET previous track id
-						const [tRows] = await connection.query(
-							`SELECT id FROM tracks
-                                WHERE value = ? AND status = 1
-                                LIMIT 0,1`,
-							[previousTrack]
-						);
-
-						// Previous track id
-						const trackId = get(tRows, '[0].id', false);
-
-						if (trackId) {
-							// Find previous product swap variant id from DB
-							const [sRows] = await connection.query(
-								`SELECT swap_variant_id
-                                    FROM rotms_swap_products
-                                    WHERE rotm = ? AND category = 'rotm' AND track = ? AND status = 1
-                                    LIMIT 0,1`,
-								[currentRotmId, trackId]
-							);
+				// GET CB subscription data from customer id
+				const cbSubscriptions =
+					await chargebeeService.getCBCustomerSubscriptions(
+						cbCustomerId
+					);
 
-							const previousSwapVariantId = get(
-								sRows,
-								'[0].swap_variant_id',
-								false
-							);
+				// Upgraded meta_data -> malformed subscriptions are reported,
+				// a malformed addon itself rejects the request
+				const { subscriptions } = await normalizeCustomerSubscriptions({
+					subscriptions: cbSubscriptions,
+					requestId: getRequestId(req),
+					action: 'update addon subscription track',
+					subscriptionId: cbSubscriptionId,
+				});
 
-							if (previousSwapVariantId) {
-								// UPDATE DB
-								// swap +1 on previous ROTM
-								await connection.query(
-									`UPDATE rotms_swap_products
-                                        SET available_swap_quantity = available_swap_quantity + 1,
-                                            updated_at = current_timestamp
-                                        WHERE rotm = ? AND swap_variant_id = ? AND status = 1`,
-									[currentRotmId, previousSwapVariantId]
-								);
+				// Active and future subscriptions
+				const liveSubscriptions = subscriptions
+					.map((f) => f.subscription)
+					.filter(
+						(f) =>
+							// eslint-disable-next-line implicit-arrow-linebreak
+							f && ['active', 'future'].includes(f.status)
+					);
 
-								// Add to Queue -> Adjust variant's inventory
-								// swap +1
-								await VMPQueue.addToQueue(
-									'adjust_variant_inventory_job',
-									{
-										variantId: previousSwapVariantId,
-										availableAdjustment: 1,
-									}
-								);
-							}
-						}
-					}
+				const addonSubscription = liveSubscriptions.find(
+					(f) =>
+						// eslint-disable-next-line implicit-arrow-linebreak
+						f.id === cbSubscriptionId &&
+						getSubscriptionType(f) === 'addon'
+				);
 
-					// UPDATE DB
-					// swap -1 on selected
-					await connection.query(
-						`UPDATE rotms_swap_products
-                            SET available_swap_quantity = available_swap_quantity - 1,
-                                updated_at = current_timestamp
-                            WHERE rotm = ? AND swap_variant_id = ? AND available_swap_quantity > 0 AND status = 1`,
-						[currentRotmId, variantId]
+				if (!addonSubscription) {
+					const err = new Error(
+						`No addon subscription was found on update addon subscription track (subscription_id: ${cbSubscriptionId}, customer_id: ${cbCustomerId}).`
 					);
-
-					// Add to Queue -> Adjust variant's inventory
-					// swap -1
-					await VMPQueue.addToQueue('adjust_variant_inventory_job', {
-						variantId,
-						availableAdjustment: -1,
-					});
+					err.status = 404;
+					throw err;
 				}
 
-				// Update CB subscription with new meta_data/track
-				const { subscription: updatedCBSubscription } =
-					await chargebeeService.updateCBCustomerSubscription(
-						primarySubscription.id,
-						{
-							meta_data: cbSubMetaData,
-						}
-					);
+				// Track already covered by the primary or another addon
+				const isTrackTaken = liveSubscriptions.some(
+					(f) =>
+						// eslint-disable-next-line implicit-arrow-linebreak
+						f.id !== cbSubscriptionId &&
+						String(
+							get(f, 'meta_data.product.track', '')
+						).toLowerCase() === String(track).toLowerCase()
+				);
 
-				// Validate
-				if (!updatedCBSubscription || !updatedCBSubscription.id) {
+				if (isTrackTaken) {
 					const err = new Error(
-						`Subscription was not updated on updateSubscriptionTrack (subscription_id: ${primarySubscription.id}, customer_id: ${cbCustomerId}).`
+						'This track is already part of your membership.'
 					);
-					err.status = 500;
+					err.status = 422;
 					throw err;
 				}
 
+				await changeSubscriptionTrack({
+					connection,
+					subscription: addonSubscription,
+					cbCustomerId,
+					track,
+					previousTrack: get(
+						addonSubscription,
+						'meta_data.product.track',
+						false
+					),
+					haveSwapped: get(
+						addonSubscription,
+						'meta_data.product.swapped',
+						false
+					),
+					variantId,
+					requestId: getRequestId(req),
+					actor: getAuditActor(req),
+					action: 'update addon subscription track',
+				});
+
 				// Commit
 				await connection.commit();
+
+				// Waitlist offers of the request -> email
+				await queueSwapWaitlistOfferEmails({
+					requestId: getRequestId(req),
+				});
 			} catch (err) {
 				await connection.rollback();
 				throw err;
@@ -949,113 +2280,135 @@ function subscriptionsController(shopifyService, chargebeeService) {
 		}
 	}
 
-	// Update Subscription Term
-	async function updateSubscriptionTerm(req, res, next) {
-		try {
-			const { cb_customer_id: cbCustomerId, cb_plan_id: cbPlanId } =
-				req.body;
+	// Prepare a term change of the customer's primary subscription
+	// - plan must exist and ship to the subscription's region
+	// - GIFT_BRIDGE coupons are added when renewing at the end of the month
+	async function prepareSubscriptionTermChange(obj) {
+		const { cbCustomerId, cbPlanId, action, requestId } = obj;
 
-			// Validate
-			if (!cbCustomerId || !cbPlanId) {
-				const err = new Error(
-					'Missing params on update subscription term.'
-				);
-				err.status = 422;
-				throw err;
-			}
+		// GET CB subscription data from customer id
+		const { period: cbPlanPeriod } = await chargebeeService.getCBPlan(
+			cbPlanId
+		);
 
-			// GET CB subscription data from customer id
-			const { period: cbPlanPeriod } = await chargebeeService.getCBPlan(
-				cbPlanId
+		if (!cbPlanPeriod) {
+			const err = new Error(
+				`Plan period wasn't found on ${action} (${cbPlanId}).`
 			);
+			err.status = 404;
+			throw err;
+		}
 
-			if (!cbPlanPeriod) {
-				const err = new Error(
-					`Plan period wasn't found on update subscription term (${cbPlanId}).`
-				);
-				err.status = 404;
-				throw err;
-			}
+		// GET CB subscription data from customer id
+		const subscriptions = await chargebeeService.getCBCustomerSubscriptions(
+			cbCustomerId
+		);
 
-			// GET CB subscription data from customer id
-			const subscriptions =
-				await chargebeeService.getCBCustomerSubscriptions(cbCustomerId);
+		if (!subscriptions || subscriptions.length === 0) {
+			const err = new Error(`No subscriptions were found on ${action}.`);
+			err.status = 404;
+			throw err;
+		}
 
-			if (!subscriptions || subscriptions.length === 0) {
-				const err = new Error(
-					'No subscriptions were found on update subscription term.'
-				);
-				err.status = 404;
-				throw err;
-			}
+		// Normalize
+		const { primarySubscription } = await normalizeCustomerSubscriptions({
+			subscriptions,
+			requestId,
+			action,
+		});
 
-			// Normalize
-			const { primarySubscription } =
-				normalizeSubscriptions(subscriptions);
+		if (!primarySubscription) {
+			const err = new Error(
+				`No primary/gift subscription was found on ${action}.`
+			);
+			err.status = 404;
+			throw err;
+		}
 
-			if (!primarySubscription) {
-				const err = new Error(
-					'No primary/gift subscription was found on update subscription term.'
-				);
-				err.status = 404;
-				throw err;
-			}
-
-			// Subscription type (primary or gift)
-			const primarySubType = get(
-				primarySubscription,
-				'meta_data.type',
-				false
+		// Subscription type (primary or gift)
+		const primarySubType = getSubscriptionType(primarySubscription);
+		// Subscription plan id
+		const primarySubPlanId = get(primarySubscription, 'plan_id', false);
+
+		// New term must ship to the same region
+		// Current plan without a region (legacy) -> nothing to compare
+		const primarySubPlanRegion = getPlanRegion(primarySubPlanId);
+		const cbPlanRegion = getPlanRegion(cbPlanId);
+
+		if (
+			primarySubPlanRegion &&
+			(!cbPlanRegion || cbPlanRegion.id !== primarySubPlanRegion.id)
+		) {
+			const err = new Error(
+				'You can only change to a plan of your current shipping region.'
 			);
-			// Subscription plan id
-			const primarySubPlanId = get(primarySubscription, 'plan_id', false);
+			err.status = 422;
+			throw err;
+		}
 
-			let couponID = [];
+		let couponID = [];
 
-			// Get next billing date
-			const nextBillingAt = get(
-				primarySubscription,
-				'next_billing_at',
-				false
-			);
+		// Get next billing date
+		const nextBillingAt = get(
+			primarySubscription,
+			'next_billing_at',
+			false
+		);
 
-			if (nextBillingAt) {
-				const nextBillingDt = DateTime.fromSeconds(nextBillingAt);
+		if (nextBillingAt) {
+			const nextBillingDt = DateTime.fromSeconds(nextBillingAt);
 
-				if (nextBillingDt.isValid) {
-					const fromDt = DateTime.local()
-						.setZone('America/Denver')
-						.endOf('month')
-						.minus({ days: 1 });
-					const toDt = DateTime.local()
-						.setZone('America/Denver')
-						.startOf('month')
-						.plus({ months: 1, days: 2 });
+			if (nextBillingDt.isValid) {
+				const fromDt = DateTime.local()
+					.setZone('America/Denver')
+					.endOf('month')
+					.minus({ days: 1 });
+				const toDt = DateTime.local()
+					.setZone('America/Denver')
+					.startOf('month')
+					.plus({ months: 1, days: 2 });
 
-					if (
-						Interval.fromDateTimes(fromDt, toDt).contains(
-							nextBillingDt
-						) &&
-						cbPlanPeriod > 1 &&
-						primarySubscription.status !== 'future' &&
-						primarySubType === 'primary' &&
-						primarySubPlanId &&
-						!primarySubPlanId.endsWith('-new')
-					) {
-						couponID =
-							cbPlanPeriod === 6
-								? process.env.GIFT_BRIDGE_6_MONTHS
-								: process.env.GIFT_BRIDGE_12_MONTHS;
-					}
+				if (
+					Interval.fromDateTimes(fromDt, toDt).contains(
+						nextBillingDt
+					) &&
+					cbPlanPeriod > 1 &&
+					primarySubscription.status !== 'future' &&
+					primarySubType === 'primary' &&
+					primarySubPlanId &&
+					!primarySubPlanId.endsWith('-new')
+				) {
+					couponID =
+						cbPlanPeriod === 6
+							? process.env.GIFT_BRIDGE_6_MONTHS
+							: process.env.GIFT_BRIDGE_12_MONTHS;
 				}
 			}
+		}
 
-			// POST data
-			const pObj = {
-				plan_id: cbPlanId,
-				end_of_term: primarySubscription.status !== 'future',
-				coupon_ids: [couponID],
-			};
+		// POST data
+		const pObj = {
+			plan_id: cbPlanId,
+			end_of_term: primarySubscription.status !== 'future',
+			coupon_ids: [couponID],
+		};
+
+		return { primarySubscription, pObj };
+	}
+
+	// Update Subscription Term
+	async function updateSubscriptionTerm(req, res, next) {
+		try {
+			const { cb_customer_id: cbCustomerId, cb_plan_id: cbPlanId } =
+				req.body;
+
+			const { primarySubscription, pObj } =
+				await prepareSubscriptionTermChange({
+					cbCustomerId,
+					cbPlanId,
+					action: 'update subscription term',
+					requestId: getRequestId(req),
+				});
 
 			// Update CB subscription with new term
 			const { subscription: updatedCBSubscription } =
@@ -1073,126 +2426,315 @@ function subscriptionsController(shopifyService, chargebeeService) {
 				throw err;
 			}
 
+			// Audit log
+			await recordAuditEntry({
+				actor: getAuditActor(req),
+				action: 'term_changed',
+				subscriptionId: primarySubscription.id,
+				cbCustomerId,
+				before: primarySubscription.meta_data,
+				after: updatedCBSubscription.meta_data,
+				changes: {
+					plan_id: {
+						from: primarySubscription.plan_id,
+						to: cbPlanId,
+					},
+					end_of_term: pObj.end_of_term,
+				},
+				requestId: getRequestId(req),
+			});
+
 			return res.status(200).send({ success: true });
 		} catch (error) {
 			return next(error);
 		}
 	}
 
-	// Cancel subscription
-	async function cancelSubscription(req, res, next) {
+	// Preview Subscription Term
+	// - same plan and GIFT_BRIDGE coupon logic as updateSubscriptionTerm
+	// - nothing is changed, Chargebee estimates the new term's invoice
+	async function previewSubscriptionTerm(req, res, next) {
 		try {
-			const { id, type, end_of_term: endOfTerm } = req.body;
+			const { cb_customer_id: cbCustomerId, cb_plan_id: cbPlanId } =
+				req.query;
+
+			const { primarySubscription, pObj } =
+				await prepareSubscriptionTermChange({
+					cbCustomerId,
+					cbPlanId,
+					action: 'preview subscription term',
+					requestId: getRequestId(req),
+				});
+
+			const estimate =
+				await chargebeeService.getCBSubscriptionUpdateEstimate(
+					primarySubscription.id,
+					pObj
+				);
+
+			// Changes at the end of term are billed on the next invoice
+			const invoiceEstimate =
+				get(estimate, 'invoice_estimate', false) ||
+				get(estimate, 'next_invoice_estimate', {});
+
+			const estimateObj = {
+				subscriptionId: primarySubscription.id,
+				planId: cbPlanId,
+				couponIds: pObj.coupon_ids.filter(
+					(f) => typeof f === 'string' && f
+				),
+				effectiveDate:
+					primarySubscription.status === 'future'
+						? primarySubscription.start_date
+						: primarySubscription.next_billing_at,
+				...formatInvoiceEstimate(invoiceEstimate),
+			};
 
-			// Validate id
-			if (!id) {
+			return res.status(200).send({ success: true, estimateObj });
+		} catch (error) {
+			return next(error);
+		}
+	}
+
+	// Undo a scheduled term change on the primary subscription
+	// - the current plan and billing period stay in effect
+	async function removeScheduledTermChange(req, res, next) {
+		try {
+			const { cb_customer_id: cbCustomerId } = req.body;
+
+			// GET CB subscription data from customer id
+			const subscriptions =
+				await chargebeeService.getCBCustomerSubscriptions(cbCustomerId);
+
+			if (!subscriptions || subscriptions.length === 0) {
 				const err = new Error(
-					'Missing params on remove customer subscription.'
+					'No subscriptions were found on remove scheduled term change.'
 				);
-				err.status = 422;
+				err.status = 404;
 				throw err;
 			}
 
-			// Validate type
-			if (type !== 'addon') {
+			// Normalize
+			const { primarySubscription } =
+				await normalizeCustomerSubscriptions({
+					subscriptions,
+					requestId: getRequestId(req),
+					action: 'remove scheduled term change',
+				});
+
+			if (!primarySubscription) {
 				const err = new Error(
-					'Invalid subscription type on remove customer subscription.'
+					'No primary/gift subscription was found on remove scheduled term change.'
 				);
-				err.status = 422;
+				err.status = 404;
 				throw err;
 			}
 
-			// Cancel on Chargebee
-			const { subscription } =
-				await chargebeeService.cancelCBSubscription(id, endOfTerm);
-
-			const productId = get(subscription, 'meta_data.product.id', false);
-			const isSwappedProduct = get(
-				subscription,
-				'meta_data.product.swapped',
-				false
-			);
-
-			// Check if the product exists and the window is open and update inventory
-			if (productId) {
-				// Connect to DB
-				const pool = DB.getInstance();
-				const connection = await pool.getConnection();
-
-				// Begin Transaction
-				await connection.beginTransaction();
+			// Validate scheduled term change
+			let hasTermChange = false;
+			let scheduledPlanId = null;
 
-				try {
-					// SELECT current ROTM
-					const { swapWindow, currentRotmId } =
-						await fetchCurrentROTM({ connection });
+			if (primarySubscription.has_scheduled_changes) {
+				const { subscription: subWithChanges } =
+					await chargebeeService.getCBSubscriptionWithChanges(
+						primarySubscription.id
+					);
 
-					// In swap window open...
-					if (swapWindow === 'opened') {
-						await updateCancelledSubscriptionInventory({
-							connection,
-							currentRotmId,
-							productId,
-							isSwappedProduct,
-						});
+				// Only a different term counts -> e.g. a scheduled region
+				// switch is kept
+				const termOf = (planId) => {
+					try {
+						return getPlanTerm(planId);
+					} catch (err) {
+						return null;
 					}
-
-					// Commit
-					await connection.commit();
-				} catch (err) {
-					await connection.rollback();
-					throw err;
-				} finally {
-					connection.release();
-				}
+				};
+				scheduledPlanId = get(subWithChanges, 'plan_id', null);
+				const scheduledTerm = termOf(scheduledPlanId);
+				const currentTerm = termOf(primarySubscription.plan_id);
+
+				hasTermChange =
+					!!scheduledTerm &&
+					!!currentTerm &&
+					scheduledTerm !== currentTerm;
 			}
 
-			return res.status(200).send({ success: true });
-		} catch (error) {
-			return next(error);
-		}
-	}
-
-	// Cancel all subscriptions
-	async function cancelAllSubscriptions(req, res, next) {
-		try {
-			const {
-				subscription_id: cbSubscriptionId,
-				shopify_client_id: shCustomerId,
-				chargebee_client_id: cbCustomerId,
-				first_name: shCustomerFirstName,
-				last_name: shCustomerLastName,
-				email: shCustomerEmail,
-				reason: cancelReason,
-				comments: cancelComments,
-				addons,
-			} = req.body;
-
-			// Validate id
-			if (!cbSubscriptionId) {
+			if (!hasTermChange) {
 				const err = new Error(
-					'Missing params on cancel all customer subscriptions.'
+					'There is no scheduled term change on your subscription.'
 				);
 				err.status = 422;
 				throw err;
 			}
 
-			// GET subscription status
-			const cbSubscription = await chargebeeService.getCBSubscriptionById(
-				cbSubscriptionId
-			);
+			// Remove scheduled changes on Chargebee
+			let { subscription: updatedCBSubscription } =
+				await chargebeeService.removeCBScheduledChanges(
+					primarySubscription.id
+				);
 
-			// Validate subscription
-			if (!cbSubscription) {
+			// Validate
+			if (
+				!updatedCBSubscription ||
+				updatedCBSubscription.has_scheduled_changes
+			) {
 				const err = new Error(
-					'Subscription not found on cancel all customer subscriptions.'
+					`Scheduled changes were not removed on removeScheduledTermChange (subscription_id: ${primarySubscription.id}, customer_id: ${cbCustomerId}).`
 				);
-				err.status = 422;
+				err.status = 500;
 				throw err;
 			}
 
-			// Check status
-			const status = get(cbSubscription, 'subscription.status', '');
+			// Scheduled region switch -> schedule it again on the current term
+			const scheduledRegion = getPlanRegion(scheduledPlanId);
+			const currentRegion = getPlanRegion(primarySubscription.plan_id);
+
+			if (
+				scheduledRegion &&
+				currentRegion &&
+				scheduledRegion.id !== currentRegion.id
+			) {
+				({ subscription: updatedCBSubscription } =
+					await chargebeeService.updateCBCustomerSubscription(
+						primarySubscription.id,
+						{
+							plan_id: getRegionPlanId(
+								primarySubscription.plan_id,
+								scheduledRegion
+							),
+							end_of_term:
+								primarySubscription.status !== 'future',
+						}
+					));
+			}
+
+			let billingPeriod = get(updatedCBSubscription, 'billing_period');
+			let billingPeriodUnit = get(
+				updatedCBSubscription,
+				'billing_period_unit'
+			);
+
+			if (billingPeriod === 1 && billingPeriodUnit === 'year') {
+				billingPeriod = 12;
+				billingPeriodUnit = 'month';
+			}
+
+			// Audit log
+			await recordAuditEntry({
+				actor: getAuditActor(req),
+				action: 'term_change_removed',
+				subscriptionId: primarySubscription.id,
+				cbCustomerId,
+				before: primarySubscription.meta_data,
+				after: updatedCBSubscription.meta_data,
+				requestId: getRequestId(req),
+			});
+
+			return res.status(200).send({
+				success: true,
+				plan_id: updatedCBSubscription.plan_id,
+				billing_period: billingPeriod,
+				billing_period_unit: billingPeriodUnit,
+				current_term_end: get(
+					updatedCBSubscription,
+					'current_term_end',
+					null
+				),
+				next_billing_at: get(
+					updatedCBSubscription,
+					'next_billing_at',
+					null
+				),
+			});
+		} catch (error) {
+			return next(error);
+		}
+	}
+
+	// Store a cancellation for the cancellation analytics
+	// - plan term and tenure (months) are taken from the Chargebee subscription
+	// - cancellation date -> the date it takes effect (Chargebee cancelled_at,
+	//   e.g. end of term) or today; month/year, tenure and the dedupe all use it
+	async function recordCancellation(obj) {
+		const {
+			connection,
+			currentRotmId,
+			subscription,
+			type,
+			reason,
+			comments,
+			addonCount,
+			source,
+			requestId,
+		} = obj;
+
+		// Cancellation date -> scheduled (end of term) or today
+		const cancelledAt = get(subscription, 'cancelled_at', false);
+		const cancelledDt = cancelledAt
+			? DateTime.fromSeconds(cancelledAt).setZone('America/Denver')
+			: DateTime.local().setZone('America/Denver');
+
+		// Plan term in months
+		const billingPeriod = get(subscription, 'billing_period', null);
+		const planTerm =
+			billingPeriod &&
+			get(subscription, 'billing_period_unit', 'month') === 'year'
+				? billingPeriod * 12
+				: billingPeriod;
+
+		// Tenure in months
+		const startedAt = get(subscription, 'started_at', false);
+		const tenureMonths = startedAt
+			? Math.max(
+					Math.floor(
+						cancelledDt.diff(
+							DateTime.fromSeconds(startedAt),
+							'months'
+						).months
+					),
+					0
+			  )
+			: null;
+
+		// Recorded once per subscription and cancellation date
+		await connection.query('INSERT IGNORE INTO cancellations SET ?', [
+			{
+				subscription_id: subscription.id,
+				cb_customer_id: get(subscription, 'customer_id', null),
+				type: type || getSubscriptionType(subscription),
+				reason: reason || null,
+				comments: comments || null,
+				track: get(subscription, 'meta_data.product.track', null),
+				plan_id: get(subscription, 'plan_id', null),
+				plan_term: planTerm,
+				tenure_months: tenureMonths,
+				addon_count: addonCount || 0,
+				rotm: currentRotmId || null,
+				month: cancelledDt.month,
+				year: cancelledDt.year,
+				cancelled_on: cancelledDt.toISODate(),
+				source,
+				request_id: requestId,
+				created_at: getCurrentTS(),
+			},
+		]);
+	}
+
+	// Cancel subscription
+	async function cancelSubscription(req, res, next) {
+		try {
+			const { id, type, end_of_term: endOfTerm } = req.body;
+
+			// Cancel on Chargebee
+			const { subscription } =
+				await chargebeeService.cancelCBSubscription(id, endOfTerm);
+
+			const productId = get(subscription, 'meta_data.product.id', false);
+			const isSwappedProduct = get(
+				subscription,
+				'meta_data.product.swapped',
+				false
+			);
 
 			// Connect to DB
 			const pool = DB.getInstance();
@@ -1207,106 +2749,59 @@ function subscriptionsController(shopifyService, chargebeeService) {
 					connection,
 				});
 
-				// Cancel primary subscription on Chargebee
-				const { subscription } =
-					await chargebeeService.cancelCBSubscription(
-						cbSubscriptionId,
-						status !== 'future'
-					);
-
-				const productId = get(
-					subscription,
-					'meta_data.product.id',
-					false
-				);
-				const isSwappedProduct = get(
-					subscription,
-					'meta_data.product.swapped',
-					false
-				);
-				const productTrack = get(
-					subscription,
-					'meta_data.product.track',
-					false
-				);
-
-				// Update primary subscription inventory
+				// Check if the product exists and the window is open and update inventory
 				if (productId && swapWindow === 'opened') {
 					await updateCancelledSubscriptionInventory({
 						connection,
 						currentRotmId,
 						productId,
 						isSwappedProduct,
+						subscriptionId: id,
+						requestId: getRequestId(req),
 					});
-
-					// Update swap analysis
-					// Trigger Message via Socket
-					await socketService.triggerMessage(
-						'swaps-dashboard',
-						'refresh-cancellations',
-						{
-							track: productTrack,
-							type: 'primary',
-						}
-					);
 				}
 
-				// Loop addons (if any) and cancel
-				if (addons && addons.length > 0) {
-					const addonPromises = addons.map(async (addon) => {
-						const { id, status: addonStatus } = addon;
-
-						if (id) {
-							const { subscription: addonSubscription } =
-								await chargebeeService.cancelCBSubscription(
-									id,
-									addonStatus !== 'future'
-								);
-
-							const addonProductId = get(
-								addonSubscription,
-								'meta_data.product.id',
-								false
-							);
-							const addonIsSwappedProduct = get(
-								addonSubscription,
-								'meta_data.product.swapped',
-								false
-							);
-							const addonProductTrack = get(
-								addonSubscription,
-								'meta_data.product.track',
-								false
-							);
-
-							// Update addon subscription inventory
-							if (addonProductId && swapWindow === 'opened') {
-								await updateCancelledSubscriptionInventory({
-									connection,
-									currentRotmId,
-									productId: addonProductId,
-									isSwappedProduct: addonIsSwappedProduct,
-								});
-
-								// Update swap analysis
-								// Trigger Message via Socket
-								await socketService.triggerMessage(
-									'swaps-dashboard',
-									'refresh-cancellations',
-									{
-										track: addonProductTrack,
-										type: 'addon',
-									}
-								);
-							}
-						}
-					});
+				// Cancellation analytics
+				await recordCancellation({
+					connection,
+					currentRotmId,
+					subscription,
+					type,
+					source: 'member',
+					requestId: getRequestId(req),
+				});
 
-					await Promise.all(addonPromises);
-				} // End of Loop
+				// Audit log
+				const previousSubscription = get(
+					req,
+					['cbSubscriptions', id],
+					{}
+				);
+				await recordAuditEntry({
+					connection,
+					actor: getAuditActor(req),
+					action: 'subscription_cancelled',
+					subscriptionId: id,
+					cbCustomerId: get(subscription, 'customer_id', null),
+					before: previousSubscription.meta_data,
+					after: get(subscription, 'meta_data', null),
+					changes: {
+						status: {
+							from: previousSubscription.status || null,
+							to: get(subscription, 'status', null),
+						},
+						end_of_term: !!endOfTerm,
+					},
+					requestId: getRequestId(req),
+				});
 
 				// Commit
 				await connection.commit();
+
+				// Waitlist offers of the request -> email
+				await queueSwapWaitlistOfferEmails({
+					requestId: getRequestId(req),
+				});
 			} catch (err) {
 				await connection.rollback();
 				throw err;
@@ -1314,120 +2809,470 @@ function subscriptionsController(shopifyService, chargebeeService) {
 				connection.release();
 			}
 
-			// Initialize queue
-			const VMPQueue = new RedisUtil.VMPQueue();
+			return res.status(200).send({ success: true });
+		} catch (error) {
+			return next(error);
+		}
+	}
 
-			// Add to Queue -> Submit cancellation quiz
-			await VMPQueue.addToQueue(
-				'submit_cancellation_quiz_job',
-				{
-					subscription_id: cbSubscriptionId,
-					shopify_client_id: shCustomerId,
-					chargebee_client_id: cbCustomerId,
-					first_name: shCustomerFirstName,
-					last_name: shCustomerLastName,
-					email: shCustomerEmail,
-					reason: cancelReason,
-					comments: cancelComments,
-				},
-				5
+	// Schedule a pause on customer's primary and addon subscriptions
+	// - pause starts on the next billing date and lasts the given months
+	// - future addons are moved to start on the resume date
+	// - if the swap window is open, the reserved records return to inventory
+	async function scheduleSubscriptionsPause(obj) {
+		const { cbCustomerId, months, action, requestId, actor } = obj;
+
+		// GET CB subscription data from customer id
+		const subscriptions = await chargebeeService.getCBCustomerSubscriptions(
+			cbCustomerId
+		);
+
+		if (!subscriptions || subscriptions.length === 0) {
+			const err = new Error(`No subscriptions were found on ${action}.`);
+			err.status = 404;
+			throw err;
+		}
+
+		// Normalize
+		// Primary and addons are paused -> any malformed one rejects the request
+		const { primarySubscription, subscriptions: normalizedSubscriptions } =
+			await normalizeCustomerSubscriptions({
+				subscriptions,
+				requestId,
+				action,
+				isAllChanged: true,
+			});
+
+		if (!primarySubscription) {
+			const err = new Error(
+				`No primary/gift subscription was found on ${action}.`
 			);
+			err.status = 404;
+			throw err;
+		}
 
-			return res.status(200).send({ success: true });
-		} catch (error) {
-			return next(error);
+		// Only active subscriptions can be paused
+		if (primarySubscription.status !== 'active') {
+			const err = new Error(
+				'Only active subscriptions can be paused or skipped.'
+			);
+			err.status = 422;
+			throw err;
 		}
-	}
 
-	// reactivate subscription
-	async function reactivateSubscription(req, res, next) {
+		// Validate for already scheduled pause
+		if (primarySubscription.pause_date) {
+			const err = new Error('Subscription is already paused.');
+			err.status = 422;
+			throw err;
+		}
+
+		const nextBillingAt = get(
+			primarySubscription,
+			'next_billing_at',
+			false
+		);
+
+		if (!nextBillingAt) {
+			const err = new Error(
+				`Next billing date was not found on ${action} (subscription_id: ${primarySubscription.id}, customer_id: ${cbCustomerId}).`
+			);
+			err.status = 422;
+			throw err;
+		}
+
+		// Calculate pause and resume dates
+		const pauseDate = nextBillingAt;
+		const resumeDate = Math.floor(
+			DateTime.fromSeconds(nextBillingAt)
+				.setZone('America/Denver')
+				.plus({ months })
+				.toSeconds()
+		);
+
+		// Active and future addon subscriptions
+		const addonSubscriptions = normalizedSubscriptions
+			.map((f) => f.subscription)
+			.filter(
+				(f) =>
+					// eslint-disable-next-line implicit-arrow-linebreak
+					f &&
+					['active', 'future'].includes(f.status) &&
+					getSubscriptionType(f) === 'addon'
+			);
+
+		// Compensation log -> undo Chargebee pauses and start dates on failure
+		const compensationLog = createCompensationLog({
+			requestId,
+			scope: 'pause_subscription',
+			cbCustomerId,
+		});
+
+		// Connect to DB
+		const pool = DB.getInstance();
+		const connection = await pool.getConnection();
+
+		// Begin Transaction
+		await connection.beginTransaction();
+
 		try {
-			const { id, type, customer_id: cbCustomerId } = req.body;
+			// SELECT current ROTM
+			const { swapWindow, currentRotmId } = await fetchCurrentROTM({
+				connection,
+			});
 
-			// Validate id
-			if (!id || !type || !cbCustomerId) {
-				const err = new Error(
-					'Missing params on reactivate customer subscription.'
+			// Pause primary subscription on Chargebee
+			const { subscription: pausedPrimarySubscription } =
+				await chargebeeService.pauseCBSubscription(
+					primarySubscription.id,
+					{
+						pause_option: 'specific_date',
+						pause_date: pauseDate,
+						resume_date: resumeDate,
+					}
 				);
-				err.status = 422;
-				throw err;
-			}
 
-			// Validate type
-			if (!['primary', 'addon'].includes(type)) {
-				const err = new Error(
-					'Invalid subscription type on reactivate customer subscription.'
-				);
-				err.status = 422;
-				throw err;
-			}
+			compensationLog.add(
+				'chargebee_pause',
+				{ subscription_id: primarySubscription.id },
+				() =>
+					// eslint-disable-next-line implicit-arrow-linebreak
+					chargebeeService.removeCBScheduledPause(
+						primarySubscription.id
+					)
+			);
 
-			// Reactivate
-			await chargebeeService.reactivateCBSubscription(
-				id,
-				type,
-				cbCustomerId
+			const pausedSubscriptions = [primarySubscription];
+
+			// Chargebee responses by subscription id -> audit log
+			const updatedSubscriptions = {
+				[primarySubscription.id]: pausedPrimarySubscription,
+			};
+
+			// Pause active addons and move future addons to the resume date
+			const addonPromises = addonSubscriptions.map(async (addon) => {
+				let updated;
+
+				if (addon.status === 'future') {
+					({ subscription: updated } =
+						await chargebeeService.updateCBCustomerSubscription(
+							addon.id,
+							{ start_date: resumeDate }
+						));
+
+					compensationLog.add(
+						'chargebee_start_date',
+						{
+							subscription_id: addon.id,
+							start_date: addon.start_date,
+						},
+						() =>
+							// eslint-disable-next-line implicit-arrow-linebreak
+							chargebeeService.updateCBCustomerSubscription(
+								addon.id,
+								{ start_date: addon.start_date }
+							)
+					);
+				} else {
+					({ subscription: updated } =
+						await chargebeeService.pauseCBSubscription(addon.id, {
+							pause_option: 'specific_date',
+							pause_date: pauseDate,
+							resume_date: resumeDate,
+						}));
+
+					compensationLog.add(
+						'chargebee_pause',
+						{ subscription_id: addon.id },
+						() =>
+							// eslint-disable-next-line implicit-arrow-linebreak
+							chargebeeService.removeCBScheduledPause(addon.id)
+					);
+				}
+
+				pausedSubscriptions.push(addon);
+				updatedSubscriptions[addon.id] = updated;
+			});
+
+			// Wait for every addon -> paused ones must be compensated on failure
+			const addonResults = await Promise.allSettled(addonPromises);
+			const addonFailure = addonResults.find(
+				(f) => f.status === 'rejected'
 			);
 
-			// Deactivate cancellation quiz
-			if (type === 'primary') {
-				// Initialize queue
-				const VMPQueue = new RedisUtil.VMPQueue();
+			if (addonFailure) {
+				throw addonFailure.reason;
+			}
 
-				// Add to Queue -> Submit cancellation quiz
-				await VMPQueue.addToQueue(
-					'deactivate_cancellation_quiz_job',
-					{ subscription_id: id, chargebee_client_id: cbCustomerId },
-					5
-				);
+			// Return reserved records to inventory
+			if (swapWindow === 'opened') {
+				// eslint-disable-next-line no-restricted-syntax
+				for (const pausedSubscription of pausedSubscriptions) {
+					const productId = get(
+						pausedSubscription,
+						'meta_data.product.id',
+						false
+					);
+					const isSwappedProduct = get(
+						pausedSubscription,
+						'meta_data.product.swapped',
+						false
+					);
+
+					if (productId) {
+						// eslint-disable-next-line no-await-in-loop
+						await updateCancelledSubscriptionInventory({
+							connection,
+							currentRotmId,
+							productId,
+							isSwappedProduct,
+							subscriptionId: pausedSubscription.id,
+							requestId,
+							reason: 'subscription_paused',
+						});
+					}
+				}
 			}
 
-			return res.status(200).send({ success: true });
+			// Audit log
+			// eslint-disable-next-line no-restricted-syntax
+			for (const previous of pausedSubscriptions) {
+				const isFutureAddon = previous.status === 'future';
+				const updated = updatedSubscriptions[previous.id];
+
+				// eslint-disable-next-line no-await-in-loop
+				await recordAuditEntry({
+					connection,
+					actor,
+					action: isFutureAddon
+						? 'subscription_start_moved'
+						: 'subscription_paused',
+					subscriptionId: previous.id,
+					cbCustomerId,
+					before: previous.meta_data,
+					after: get(updated, 'meta_data', null),
+					changes: isFutureAddon
+						? {
+								start_date: {
+									from: previous.start_date || null,
+									to: get(updated, 'start_date', null),
+								},
+						  }
+						: {
+								status: {
+									from: previous.status || null,
+									to: get(updated, 'status', null),
+								},
+								pause_date: {
+									from: previous.pause_date || null,
+									to: get(updated, 'pause_date', null),
+								},
+								resume_date: {
+									from: previous.resume_date || null,
+									to: get(updated, 'resume_date', null),
+								},
+						  },
+					requestId,
+				});
+			}
+
+			// Commit
+			await connection.commit();
+
+			// Waitlist offers of the request -> email
+			await queueSwapWaitlistOfferEmails({ requestId });
+		} catch (err) {
+			await connection.rollback();
+			await compensationLog.compensate(err);
+			throw err;
+		} finally {
+			connection.release();
+		}
+
+		return { pauseDate, resumeDate };
+	}
+
+	// Pause subscription for 1-3 months
+	async function pauseSubscription(req, res, next) {
+		try {
+			const { cb_customer_id: cbCustomerId, months } = req.body;
+			const pauseMonths = parseInt(months, 10);
+
+			const { pauseDate, resumeDate } = await scheduleSubscriptionsPause({
+				cbCustomerId,
+				months: pauseMonths,
+				action: 'pause customer subscription',
+				requestId: getRequestId(req),
+				actor: getAuditActor(req),
+			});
+
+			return res.status(200).send({
+				success: true,
+				pause_date: pauseDate,
+				resume_date: resumeDate,
+			});
 		} catch (error) {
 			return next(error);
 		}
 	}
 
-	// POST
-	async function swapSubscriptionRecord(req, res, next) {
+	// Skip next month's record
+	async function skipSubscriptionMonth(req, res, next) {
+		try {
+			const { cb_customer_id: cbCustomerId } = req.body;
+
+			const { pauseDate, resumeDate } = await scheduleSubscriptionsPause({
+				cbCustomerId,
+				months: 1,
+				action: 'skip subscription month',
+				requestId: getRequestId(req),
+				actor: getAuditActor(req),
+			});
+
+			return res.status(200).send({
+				success: true,
+				pause_date: pauseDate,
+				resume_date: resumeDate,
+			});
+		} catch (error) {
+			return next(error);
+		}
+	}
+
+	// Cancel addon subscriptions
+	// - if the swap window is open, the reserved records return to inventory
+	// - previousSubscriptions: addons before the cancellation by id (audit log)
+	async function cancelAddonSubscriptions(obj) {
+		const {
+			connection,
+			swapWindow,
+			currentRotmId,
+			addons,
+			requestId,
+			actor,
+			previousSubscriptions = {},
+			reason,
+			source = 'member',
+		} = obj;
+
+		const addonPromises = addons.map(async (addon) => {
+			const { id, status: addonStatus } = addon;
+
+			if (id) {
+				const { subscription: addonSubscription } =
+					await chargebeeService.cancelCBSubscription(
+						id,
+						addonStatus !== 'future'
+					);
+
+				const addonProductId = get(
+					addonSubscription,
+					'meta_data.product.id',
+					false
+				);
+				const addonIsSwappedProduct = get(
+					addonSubscription,
+					'meta_data.product.swapped',
+					false
+				);
+				const addonProductTrack = get(
+					addonSubscription,
+					'meta_data.product.track',
+					false
+				);
+
+				// Update addon subscription inventory
+				if (addonProductId && swapWindow === 'opened') {
+					await updateCancelledSubscriptionInventory({
+						connection,
+						currentRotmId,
+						productId: addonProductId,
+						isSwappedProduct: addonIsSwappedProduct,
+						subscriptionId: id,
+						requestId,
+					});
+
+					// Update swap analysis
+					// Trigger Message via Socket
+					await socketService.triggerMessage(
+						'swaps-dashboard',
+						'refresh-cancellations',
+						{
+							track: addonProductTrack,
+							type: 'addon',
+						}
+					);
+				}
+
+				// Cancellation analytics
+				await recordCancellation({
+					connection,
+					currentRotmId,
+					subscription: addonSubscription,
+					type: 'addon',
+					reason,
+					source,
+					requestId,
+				});
+
+				// Audit log
+				const previousSubscription = previousSubscriptions[id] || {};
+				await recordAuditEntry({
+					connection,
+					actor,
+					action: 'subscription_cancelled',
+					subscriptionId: id,
+					cbCustomerId: get(addonSubscription, 'customer_id', null),
+					before: previousSubscription.meta_data,
+					after: get(addonSubscription, 'meta_data', null),
+					changes: {
+						status: {
+							from:
+								previousSubscription.status ||
+								addonStatus ||
+								null,
+							to: get(addonSubscription, 'status', null),
+						},
+					},
+					requestId,
+				});
+			}
+		});
+
+		await Promise.all(addonPromises);
+	}
+
+	// Cancel all subscriptions
+	async function cancelAllSubscriptions(req, res, next) {
 		try {
 			const {
 				subscription_id: cbSubscriptionId,
-				track,
-				type,
-				customer_id: customerId,
-				gift_code: giftCode,
-				gift_bundle: giftBundle,
-				gifter_customer_id: gifterCustomerId,
-				gifter_order_id: gifterOrderId,
-				swapped_product_id: swappedProductId,
-				product_id: productId,
-				variant_id: variantId,
-				title,
-				vendor,
-				image,
-				handle,
+				shopify_client_id: shCustomerId,
+				chargebee_client_id: cbCustomerId,
+				first_name: shCustomerFirstName,
+				last_name: shCustomerLastName,
+				email: shCustomerEmail,
+				reason: cancelReason,
+				comments: cancelComments,
+				addons,
 			} = req.body;
 
-			// Validate params
-			if (
-				!cbSubscriptionId ||
-				!productId ||
-				!variantId ||
-				!track ||
-				!type
-			) {
+			// GET subscription status
+			const cbSubscription = await chargebeeService.getCBSubscriptionById(
+				cbSubscriptionId
+			);
+
+			// Validate subscription
+			if (!cbSubscription) {
 				const err = new Error(
-					'Missing params on swap subscription record.'
+					'Subscription not found on cancel all customer subscriptions.'
 				);
 				err.status = 422;
 				throw err;
 			}
 
-			let success = false;
-			const isSwapForCredit =
-				parseInt(productId, 10) ===
-				parseInt(process.env.SWAP_FOR_CREDIT_PRODUCT_ID, 10);
+			// Check status
+			const status = get(cbSubscription, 'subscription.status', '');
 
 			// Connect to DB
 			const pool = DB.getInstance();
@@ -1437,190 +3282,3192 @@ function subscriptionsController(shopifyService, chargebeeService) {
 			await connection.beginTransaction();
 
 			try {
-				// Adjust inventory in our DB -> Exclude Swap for credit
-				if (!isSwapForCredit) {
-					// SELECT Current ROTM from rotm swap products
-					// Only the available ( swap > 0 )
-					// Inventory stop flag can be set from env variables (INVENTORY_STOP_QUANTITY)
-					const inventoryStopFlag =
-						process.env.INVENTORY_STOP_QUANTITY || 0;
-					const [rows] = await connection.query(
-						`SELECT r.id as rotm_id
-                            FROM rotms r
-                                INNER JOIN rotms_swap_products rp
-                                ON rp.rotm = r.id AND rp.product_id = ?
-                                    AND rp.available_swap_quantity > ? AND rp.status = 1
-                            WHERE r.status = 2 LIMIT 0,1`,
-						[productId, inventoryStopFlag]
-					);
-
-					// Check if available
-					if (!rows || rows.length === 0) {
-						const err = new Error(
-							'Variant is not available on swap subscription record'
-						);
-						err.status = 422;
-						throw err;
-					}
+				// SELECT current ROTM
+				const { swapWindow, currentRotmId } = await fetchCurrentROTM({
+					connection,
+				});
+
+				// Cancel primary subscription on Chargebee
+				const { subscription } =
+					await chargebeeService.cancelCBSubscription(
+						cbSubscriptionId,
+						status !== 'future'
+					);
+
+				const productId = get(
+					subscription,
+					'meta_data.product.id',
+					false
+				);
+				const isSwappedProduct = get(
+					subscription,
+					'meta_data.product.swapped',
+					false
+				);
+				const productTrack = get(
+					subscription,
+					'meta_data.product.track',
+					false
+				);
+
+				// Update primary subscription inventory
+				if (productId && swapWindow === 'opened') {
+					await updateCancelledSubscriptionInventory({
+						connection,
+						currentRotmId,
+						productId,
+						isSwappedProduct,
+						subscriptionId: cbSubscriptionId,
+						requestId: getRequestId(req),
+					});
+
+					// Update swap analysis
+					// Trigger Message via Socket
+					await socketService.triggerMessage(
+						'swaps-dashboard',
+						'refresh-cancellations',
+						{
+							track: productTrack,
+							type: 'primary',
+						}
+					);
+				}
 
-					// ROTM id
-					const rotmId = get(rows, '[0].rotm_id', false);
+				// Cancellation analytics
+				await recordCancellation({
+					connection,
+					currentRotmId,
+					subscription,
+					reason: cancelReason,
+					comments: cancelComments,
+					addonCount: (addons || []).filter((f) => f && f.id).length,
+					source: 'member',
+					requestId: getRequestId(req),
+				});
+
+				// Audit log
+				await recordAuditEntry({
+					connection,
+					actor: getAuditActor(req),
+					action: 'subscription_cancelled',
+					subscriptionId: cbSubscriptionId,
+					cbCustomerId,
+					before: get(cbSubscription, 'subscription.meta_data', null),
+					after: get(subscription, 'meta_data', null),
+					changes: {
+						status: {
+							from: status || null,
+							to: get(subscription, 'status', null),
+						},
+						reason: cancelReason || null,
+					},
+					requestId: getRequestId(req),
+				});
+
+				// Cancel addons (if any)
+				await cancelAddonSubscriptions({
+					connection,
+					swapWindow,
+					currentRotmId,
+					addons: addons || [],
+					requestId: getRequestId(req),
+					actor: getAuditActor(req),
+					previousSubscriptions: req.cbSubscriptions,
+					reason: cancelReason,
+				});
+
+				// Retention offers not answered -> declined
+				await connection.query(
+					`UPDATE retention_offers
+                    SET status = ?, responded_at = ?
+                    WHERE subscription_id = ? AND status = ?`,
+					[
+						RETENTION_OFFER_STATUS.declined,
+						getCurrentTS(),
+						cbSubscriptionId,
+						RETENTION_OFFER_STATUS.offered,
+					]
+				);
+
+				// Commit
+				await connection.commit();
+
+				// Waitlist offers of the request -> email
+				await queueSwapWaitlistOfferEmails({
+					requestId: getRequestId(req),
+				});
+			} catch (err) {
+				await connection.rollback();
+				throw err;
+			} finally {
+				connection.release();
+			}
+
+			// Initialize queue
+			const VMPQueue = new RedisUtil.VMPQueue();
+
+			// Add to Queue -> Submit cancellation quiz
+			await VMPQueue.addToQueue(
+				'submit_cancellation_quiz_job',
+				{
+					subscription_id: cbSubscriptionId,
+					shopify_client_id: shCustomerId,
+					chargebee_client_id: cbCustomerId,
+					first_name: shCustomerFirstName,
+					last_name: shCustomerLastName,
+					email: shCustomerEmail,
+					reason: cancelReason,
+					comments: cancelComments,
+				},
+				5
+			);
+
+			return res.status(200).send({ success: true });
+		} catch (error) {
+			return next(error);
+		}
+	}
+
+	// Pre-cancellation step -> eligible retention offers for the reason
+	// The offers are recorded so the member's answer can be tracked
+	async function getRetentionOffers(req, res, next) {
+		try {
+			const {
+				cb_customer_id: cbCustomerId,
+				subscription_id: cbSubscriptionId,
+				reason,
+				comments,
+			} = req.body;
+
+			// GET CB subscription data from customer id
+			const subscriptions =
+				await chargebeeService.getCBCustomerSubscriptions(cbCustomerId);
+
+			if (!subscriptions || subscriptions.length === 0) {
+				const err = new Error(
+					'No subscriptions were found on get retention offers.'
+				);
+				err.status = 404;
+				throw err;
+			}
+
+			// Normalize
+			const {
+				primarySubscription,
+				subscriptions: normalizedSubscriptions,
+			} = await normalizeCustomerSubscriptions({
+				subscriptions,
+				requestId: getRequestId(req),
+			});
+
+			if (
+				!primarySubscription ||
+				primarySubscription.id !== cbSubscriptionId
+			) {
+				const err = new Error(
+					'No primary/gift subscription was found on get retention offers.'
+				);
+				err.status = 404;
+				throw err;
+			}
+
+			// Active and future addon subscriptions
+			const addonSubscriptions = normalizedSubscriptions
+				.map((f) => f.subscription)
+				.filter(
+					(f) =>
+						// eslint-disable-next-line implicit-arrow-linebreak
+						f &&
+						['active', 'future'].includes(f.status) &&
+						getSubscriptionType(f) === 'addon'
+				);
+
+			// Closest shorter/longer plans that exist on Chargebee
+			// Plans without a known term (e.g. gift plans) -> no term offers
+			let termPlanIds = { shorterPlanId: false, longerPlanId: false };
+
+			try {
+				termPlanIds = getAdjacentTermPlanIds(
+					primarySubscription.plan_id
+				);
+			} catch (err) {
+				if (err.status !== 422) throw err;
+			}
+
+			await Promise.all(
+				Object.keys(termPlanIds).map(async (key) => {
+					if (!termPlanIds[key]) return;
+
+					const plan = await chargebeeService.getCBPlan(
+						termPlanIds[key]
+					);
+
+					if (!plan || !plan.period) {
+						termPlanIds[key] = false;
+					}
+				})
+			);
+
+			const offers = getEligibleRetentionOffers({
+				reason,
+				primarySubscription,
+				addonSubscriptions,
+				termPlanIds,
+			});
+
+			// Connect to DB
+			const pool = DB.getInstance();
+
+			// INSERT offers
+			const [{ insertId }] = await pool.query(
+				'INSERT INTO retention_offers SET ?',
+				[
+					{
+						subscription_id: cbSubscriptionId,
+						cb_customer_id: cbCustomerId,
+						reason,
+						comments: comments || null,
+						offers: JSON.stringify(offers),
+						request_id: getRequestId(req),
+						created_at: getCurrentTS(),
+						status: RETENTION_OFFER_STATUS.offered,
+					},
+				]
+			);
+
+			if (!insertId) {
+				const err = new Error(
+					`Retention offers were not created (subscription_id: ${cbSubscriptionId}).`
+				);
+				err.status = 500;
+				throw err;
+			}
+
+			return res.status(200).send({
+				success: true,
+				retention_offer_id: insertId,
+				offers,
+			});
+		} catch (error) {
+			return next(error);
+		}
+	}
+
+	// Apply the retention offer chosen by the member
+	async function applyRetentionOffer(obj) {
+		const {
+			cbCustomerId,
+			cbSubscriptionId,
+			offer,
+			months,
+			requestId,
+			actor,
+		} = obj;
+		const action = 'apply retention offer';
+
+		// Discount coupon
+		if (offer.id === 'discount_coupon') {
+			const { subscription: updatedCBSubscription } =
+				await chargebeeService.updateCBCustomerSubscription(
+					cbSubscriptionId,
+					{ coupon_ids: [offer.coupon_id] }
+				);
+
+			// Audit log
+			await recordAuditEntry({
+				actor,
+				action: 'retention_coupon_applied',
+				subscriptionId: cbSubscriptionId,
+				cbCustomerId,
+				after: get(updatedCBSubscription, 'meta_data', null),
+				changes: { coupon_ids: [offer.coupon_id] },
+				requestId,
+			});
+
+			return { coupon_id: offer.coupon_id };
+		}
+
+		// Pause
+		if (offer.id === 'pause') {
+			const pauseMonths = parseInt(months, 10);
+
+			if (!offer.months.includes(pauseMonths)) {
+				const err = new Error(
+					`Please choose a pause of ${offer.months.join(
+						', '
+					)} months.`
+				);
+				err.status = 422;
+				throw err;
+			}
+
+			const { pauseDate, resumeDate } = await scheduleSubscriptionsPause({
+				cbCustomerId,
+				months: pauseMonths,
+				action,
+				requestId,
+				actor,
+			});
+
+			return { pause_date: pauseDate, resume_date: resumeDate };
+		}
+
+		// Shorter/longer term
+		if (['shorter_term', 'longer_term'].includes(offer.id)) {
+			const { primarySubscription, pObj } =
+				await prepareSubscriptionTermChange({
+					cbCustomerId,
+					cbPlanId: offer.plan_id,
+					action,
+					requestId,
+				});
+
+			const { subscription: updatedCBSubscription } =
+				await chargebeeService.updateCBCustomerSubscription(
+					primarySubscription.id,
+					pObj
+				);
+
+			// Audit log
+			await recordAuditEntry({
+				actor,
+				action: 'term_changed',
+				subscriptionId: primarySubscription.id,
+				cbCustomerId,
+				before: primarySubscription.meta_data,
+				after: get(updatedCBSubscription, 'meta_data', null),
+				changes: {
+					plan_id: {
+						from: primarySubscription.plan_id,
+						to: offer.plan_id,
+					},
+					end_of_term: pObj.end_of_term,
+					retention_offer: offer.id,
+				},
+				requestId,
+			});
+
+			return { plan_id: offer.plan_id };
+		}
+
+		// Drop addons
+		if (offer.id === 'drop_addons') {
+			// Addons as they are now -> a retry skips the ones already cancelled
+			const previousSubscriptions = {};
+
+			await Promise.all(
+				offer.addons.map(async (addon) => {
+					const cbSubscription =
+						await chargebeeService.getCBSubscriptionById(addon.id);
+
+					previousSubscriptions[addon.id] = get(
+						cbSubscription,
+						'subscription',
+						{}
+					);
+				})
+			);
+
+			const addons = offer.addons.filter(
+				(addon) =>
+					// eslint-disable-next-line implicit-arrow-linebreak
+					!['cancelled', 'non_renewing'].includes(
+						previousSubscriptions[addon.id].status
+					)
+			);
+
+			// Connect to DB
+			const pool = DB.getInstance();
+			const connection = await pool.getConnection();
+
+			// Begin Transaction
+			await connection.beginTransaction();
+
+			try {
+				// SELECT current ROTM
+				const { swapWindow, currentRotmId } = await fetchCurrentROTM({
+					connection,
+				});
+
+				await cancelAddonSubscriptions({
+					connection,
+					swapWindow,
+					currentRotmId,
+					addons,
+					requestId,
+					actor,
+					previousSubscriptions,
+					source: 'retention_offer',
+				});
+
+				// Commit
+				await connection.commit();
+
+				// Waitlist offers of the request -> email
+				await queueSwapWaitlistOfferEmails({ requestId });
+			} catch (err) {
+				await connection.rollback();
+				throw err;
+			} finally {
+				connection.release();
+			}
+
+			// Only the addons cancelled by this request
+			return {
+				cancelled_addons: addons.filter((f) => f.id).map((f) => f.id),
+			};
+		}
+
+		const err = new Error(`Unknown retention offer (${offer.id}).`);
+		err.status = 422;
+		throw err;
+	}
+
+	// Record the member's answer to the retention offers
+	// Accepted offers are applied instead of cancelling
+	async function respondToRetentionOffer(req, res, next) {
+		try {
+			const {
+				cb_customer_id: cbCustomerId,
+				retention_offer_id: retentionOfferId,
+				accepted,
+				offer: offerId,
+				months,
+			} = req.body;
+			const isAccepted = accepted === true;
+
+			// Connect to DB
+			const pool = DB.getInstance();
+
+			// SELECT offers
+			const [[retentionOffer]] = await pool.query(
+				`SELECT id, subscription_id, cb_customer_id, offers, status
+                FROM retention_offers
+                WHERE id = ? AND cb_customer_id = ?`,
+				[retentionOfferId, cbCustomerId]
+			);
+
+			if (!retentionOffer) {
+				const err = new Error('Retention offer was not found.');
+				err.status = 404;
+				throw err;
+			}
+
+			if (retentionOffer.status !== RETENTION_OFFER_STATUS.offered) {
+				const err = new Error(
+					'Retention offer has already been answered.'
+				);
+				err.status = 409;
+				throw err;
+			}
+
+			// Declined -> the member goes on with the cancellation
+			if (!isAccepted) {
+				await pool.query(
+					'UPDATE retention_offers SET ? WHERE id = ? AND status = ?',
+					[
+						{
+							status: RETENTION_OFFER_STATUS.declined,
+							responded_at: getCurrentTS(),
+						},
+						retentionOffer.id,
+						RETENTION_OFFER_STATUS.offered,
+					]
+				);
+
+				return res.status(200).send({ success: true, accepted: false });
+			}
+
+			const offers = JSON.parse(retentionOffer.offers || '[]');
+			const offer = offers.find((f) => f.id === offerId);
+
+			if (!offer) {
+				const err = new Error(
+					`Retention offer ${offerId} is not available.`
+				);
+				err.status = 422;
+				throw err;
+			}
+
+			// Claim the offer -> a concurrent answer can't apply it twice
+			const [{ affectedRows }] = await pool.query(
+				'UPDATE retention_offers SET ? WHERE id = ? AND status = ?',
+				[
+					{
+						status: RETENTION_OFFER_STATUS.accepted,
+						accepted_offer: offer.id,
+						responded_at: getCurrentTS(),
+					},
+					retentionOffer.id,
+					RETENTION_OFFER_STATUS.offered,
+				]
+			);
+
+			if (!affectedRows) {
+				const err = new Error(
+					'Retention offer has already been answered.'
+				);
+				err.status = 409;
+				throw err;
+			}
+
+			let result;
+
+			try {
+				result = await applyRetentionOffer({
+					cbCustomerId,
+					cbSubscriptionId: retentionOffer.subscription_id,
+					offer,
+					months,
+					requestId: getRequestId(req),
+					actor: getAuditActor(req),
+				});
+			} catch (err) {
+				// Not applied -> let the member answer again
+				await pool.query('UPDATE retention_offers SET ? WHERE id = ?', [
+					{
+						status: RETENTION_OFFER_STATUS.offered,
+						accepted_offer: null,
+						responded_at: null,
+					},
+					retentionOffer.id,
+				]);
+				throw err;
+			}
+
+			await pool.query(
+				'UPDATE retention_offers SET applied_result = ? WHERE id = ?',
+				[JSON.stringify(result), retentionOffer.id]
+			);
+
+			return res.status(200).send({
+				success: true,
+				accepted: true,
+				offer: offer.id,
+				...result,
+			});
+		} catch (error) {
+			return next(error);
+		}
+	}
+
+	// GET cancellation analytics (admin)
+	// - cancellations grouped by month, track and reason
+	// - month is the one the cancellation takes effect on (e.g. end of term),
+	//   not the one it was requested on
+	// - filter by month range (yyyy-MM), rotm, track or type
+	// - format=csv returns a CSV export
+	async function getCancellationAnalytics(req, res, next) {
+		try {
+			const { from, to, rotm, track, type, format } = req.query;
+
+			// Filters
+			const filters = { rotm, track, type };
+			const columns = Object.keys(filters).filter((f) => filters[f]);
+			const conditions = columns.map((column) => `${column} = ?`);
+			const params = columns.map((column) => filters[column]);
+
+			// Month range -> yyyymm
+			if (from) {
+				conditions.push('(year * 100 + month) >= ?');
+				params.push(parseInt(from.replace('-', ''), 10));
+			}
+
+			if (to) {
+				conditions.push('(year * 100 + month) <= ?');
+				params.push(parseInt(to.replace('-', ''), 10));
+			}
+
+			const wsql =
+				conditions.length > 0
+					? `WHERE ${conditions.join(' AND ')}`
+					: '';
+
+			// Connect to DB
+			const pool = DB.getInstance();
+
+			const [rows] = await pool.query(
+				`SELECT year, month, track, reason,
+                    COUNT(id) AS cancellations,
+                    SUM(type = 'addon') AS addon_cancellations,
+                    ROUND(AVG(plan_term), 1) AS avg_plan_term,
+                    ROUND(AVG(tenure_months), 1) AS avg_tenure_months,
+                    ROUND(AVG(addon_count), 2) AS avg_addon_count
+                    FROM cancellations
+                    ${wsql}
+                    GROUP BY year, month, track, reason
+                    ORDER BY year DESC, month DESC, cancellations DESC`,
+				params
+			);
+
+			if (format === 'csv') {
+				return sendCSV(
+					res,
+					'cancellations.csv',
+					[
+						'year',
+						'month',
+						'track',
+						'reason',
+						'cancellations',
+						'addon_cancellations',
+						'avg_plan_term',
+						'avg_tenure_months',
+						'avg_addon_count',
+					],
+					rows
+				);
+			}
+
+			return res.status(200).send({ success: true, rows });
+		} catch (error) {
+			return next(error);
+		}
+	}
+
+	// reactivate subscription
+	async function reactivateSubscription(req, res, next) {
+		try {
+			const { id, type, customer_id: cbCustomerId } = req.body;
+
+			// Reactivate
+			const { subscription: reactivatedSubscription } =
+				await chargebeeService.reactivateCBSubscription(
+					id,
+					type,
+					cbCustomerId
+				);
+
+			// Audit log
+			const previousSubscription = get(req, ['cbSubscriptions', id], {});
+			await recordAuditEntry({
+				actor: getAuditActor(req),
+				action: 'subscription_reactivated',
+				subscriptionId: id,
+				cbCustomerId,
+				before: previousSubscription.meta_data,
+				after: get(reactivatedSubscription, 'meta_data', null),
+				changes: {
+					status: {
+						from: previousSubscription.status || null,
+						to: get(reactivatedSubscription, 'status', null),
+					},
+				},
+				requestId: getRequestId(req),
+			});
+
+			// Deactivate cancellation quiz
+			if (type === 'primary') {
+				// Initialize queue
+				const VMPQueue = new RedisUtil.VMPQueue();
+
+				// Add to Queue -> Submit cancellation quiz
+				await VMPQueue.addToQueue(
+					'deactivate_cancellation_quiz_job',
+					{ subscription_id: id, chargebee_client_id: cbCustomerId },
+					5
+				);
+			}
+
+			return res.status(200).send({ success: true });
+		} catch (error) {
+			return next(error);
+		}
+	}
+
+	// Reserve a swap record for a few minutes during the swap window
+	// The reservation is consumed by swapSubscriptionRecord
+	async function reserveSwapRecord(req, res, next) {
+		try {
+			const { subscription_id: cbSubscriptionId, product_id: productId } =
+				req.body;
+
+			// Reservation length can be set from env variables (SWAP_RESERVATION_MINUTES)
+			const reservationMinutes =
+				parseInt(process.env.SWAP_RESERVATION_MINUTES, 10) || 5;
+			// Inventory stop flag can be set from env variables (INVENTORY_STOP_QUANTITY)
+			const inventoryStopFlag = process.env.INVENTORY_STOP_QUANTITY || 0;
+			const requestId = getRequestId(req);
+
+			let reservationId = null;
+
+			// Connect to DB
+			const pool = DB.getInstance();
+			const connection = await pool.getConnection();
+
+			// Begin Transaction
+			await connection.beginTransaction();
+
+			try {
+				// SELECT current ROTM
+				const { swapWindow, currentRotmId } = await fetchCurrentROTM({
+					connection,
+				});
+
+				if (swapWindow !== 'opened') {
+					const err = new Error(
+						'Swap window is closed on reserve swap record.'
+					);
+					err.status = 422;
+					throw err;
+				}
+
+				// Return expired reservations of the record to inventory
+				await releaseExpiredSwapReservations({
+					connection,
+					rotmId: currentRotmId,
+					productId,
+					subscriptionId: cbSubscriptionId,
+					requestId,
+				});
+
+				// Subscription's active reservations
+				const [rRows] = await connection.query(
+					`SELECT id, rotm, product_id, subscription_id
+                        FROM swap_reservations
+                        WHERE subscription_id = ? AND status = ?
+                        FOR UPDATE`,
+					[cbSubscriptionId, SWAP_RESERVATION_STATUS.active]
+				);
+
+				const reservations = rRows || [];
+				const sameRecordReservation = reservations.find(
+					(f) =>
+						// eslint-disable-next-line implicit-arrow-linebreak
+						parseInt(f.product_id, 10) === parseInt(productId, 10)
+				);
+
+				if (sameRecordReservation) {
+					// Extend the existing reservation
+					await connection.query(
+						`UPDATE swap_reservations
+                            SET expires_at = DATE_ADD(NOW(), INTERVAL ? MINUTE),
+                                updated_at = current_timestamp
+                            WHERE id = ? LIMIT 1`,
+						[reservationMinutes, sameRecordReservation.id]
+					);
+
+					reservationId = sameRecordReservation.id;
+				} else {
+					// A subscription holds one record at a time
+					await releaseSwapReservations({
+						connection,
+						reservations,
+						reason: 'swap_reservation_replaced',
+						requestId,
+					});
+
+					// UPDATE DB
+					// swap -1 -> only if available
+					const { affectedRows } = await adjustSwapProductInventory({
+						connection,
+						rotmId: currentRotmId,
+						productId,
+						adjustments: { swap: -1 },
+						reason: 'swap_reserved',
+						subscriptionId: cbSubscriptionId,
+						requestId,
+						swapAbove: inventoryStopFlag,
+					});
+
+					if (!affectedRows) {
+						const err = new Error(
+							'Variant is not available on swap subscription record'
+						);
+						err.status = 422;
+						throw err;
+					}
+
+					// INSERT reservation
+					const [{ insertId }] = await connection.query(
+						`INSERT INTO swap_reservations
+                            SET ?, expires_at = DATE_ADD(NOW(), INTERVAL ? MINUTE)`,
+						[
+							{
+								subscription_id: cbSubscriptionId,
+								rotm: currentRotmId,
+								product_id: productId,
+								request_id: requestId,
+								created_at: getCurrentTS(),
+								status: SWAP_RESERVATION_STATUS.active,
+							},
+							reservationMinutes,
+						]
+					);
+
+					if (!insertId) {
+						const err = new Error(
+							`Swap reservation was not created (subscription_id: ${cbSubscriptionId}).`
+						);
+						err.status = 500;
+						throw err;
+					}
+
+					reservationId = insertId;
+				}
+
+				// Commit
+				await connection.commit();
+
+				// Waitlist offers of the request -> email
+				await queueSwapWaitlistOfferEmails({ requestId });
+			} catch (err) {
+				await connection.rollback();
+				throw err;
+			} finally {
+				connection.release();
+			}
+
+			return res.status(200).send({
+				success: true,
+				reservation_id: reservationId,
+				expires_in: reservationMinutes * 60,
+			});
+		} catch (error) {
+			return next(error);
+		}
+	}
+
+	// Return every expired swap reservation to inventory
+	// Called on a schedule (e.g. every minute) with an admin token, so a hold
+	// on a record nobody reserves or swaps again is still returned
+	async function sweepExpiredSwapReservations(req, res, next) {
+		try {
+			const requestId = getRequestId(req);
+			let released = [];
+
+			// Connect to DB
+			const pool = DB.getInstance();
+			const connection = await pool.getConnection();
+
+			// Begin Transaction
+			await connection.beginTransaction();
+
+			try {
+				released = await releaseExpiredSwapReservations({
+					connection,
+					all: true,
+					requestId,
+				});
+
+				// Commit
+				await connection.commit();
+			} catch (err) {
+				await connection.rollback();
+				throw err;
+			} finally {
+				connection.release();
+			}
+
+			// Waitlist offers of the request -> email
+			await queueSwapWaitlistOfferEmails({ requestId });
+
+			return res.status(200).send({
+				success: true,
+				released: released.length,
+				// More expired reservations than one sweep releases
+				has_more: released.length === SWAP_RESERVATION_SWEEP_SIZE,
+			});
+		} catch (error) {
+			return next(error);
+		}
+	}
+
+	// Join the waitlist of a sold-out swap record
+	// The next returned swap unit is offered to the first member in line
+	async function joinSwapWaitlist(req, res, next) {
+		try {
+			const { subscription_id: cbSubscriptionId, product_id: productId } =
+				req.body;
+
+			// GET subscription and customer
+			const cbSubscription = await chargebeeService.getCBSubscriptionById(
+				cbSubscriptionId
+			);
+
+			if (!cbSubscription || !cbSubscription.subscription) {
+				const err = new Error(
+					'Subscription not found on join swap waitlist.'
+				);
+				err.status = 404;
+				throw err;
+			}
+
+			// Inventory stop flag can be set from env variables (INVENTORY_STOP_QUANTITY)
+			const inventoryStopFlag = process.env.INVENTORY_STOP_QUANTITY || 0;
+			const respObj = { success: true };
+
+			// Connect to DB
+			const pool = DB.getInstance();
+			const connection = await pool.getConnection();
+
+			// Begin Transaction
+			await connection.beginTransaction();
+
+			try {
+				// SELECT current ROTM
+				const { swapWindow, currentRotmId } = await fetchCurrentROTM({
+					connection,
+				});
+
+				if (swapWindow !== 'opened') {
+					const err = new Error(
+						'Swap window is closed on join swap waitlist.'
+					);
+					err.status = 422;
+					throw err;
+				}
+
+				// Return expired reservations of the record to inventory
+				await releaseExpiredSwapReservations({
+					connection,
+					rotmId: currentRotmId,
+					productId,
+					requestId: getRequestId(req),
+				});
+
+				// SELECT record availability
+				const [pRows] = await connection.query(
+					`SELECT available_swap_quantity
+                        FROM rotms_swap_products
+                        WHERE rotm = ? AND product_id = ? AND status = 1
+                        LIMIT 0,1`,
+					[currentRotmId, productId]
+				);
+
+				if (!pRows || pRows.length === 0) {
+					const err = new Error(
+						'Record was not found on join swap waitlist.'
+					);
+					err.status = 404;
+					throw err;
+				}
+
+				if (pRows[0].available_swap_quantity > inventoryStopFlag) {
+					const err = new Error(
+						'This record is available, please swap it now.'
+					);
+					err.status = 422;
+					throw err;
+				}
+
+				// SELECT -> check if already on the waitlist
+				const [wRows] = await connection.query(
+					`SELECT id
+                        FROM swap_waitlist
+                        WHERE rotm = ? AND product_id = ? AND subscription_id = ? AND status IN (?)
+                        LIMIT 0,1`,
+					[
+						currentRotmId,
+						productId,
+						cbSubscriptionId,
+						[
+							SWAP_WAITLIST_STATUS.waiting,
+							SWAP_WAITLIST_STATUS.offered,
+						],
+					]
+				);
+
+				let waitlistId = get(wRows, '[0].id', false);
+
+				if (waitlistId) {
+					respObj.already_added = true;
+				} else {
+					// INSERT new waitlist entry
+					const [{ insertId }] = await connection.query(
+						'INSERT INTO swap_waitlist SET ?',
+						[
+							{
+								rotm: currentRotmId,
+								product_id: productId,
+								subscription_id: cbSubscriptionId,
+								cb_customer_id: get(
+									cbSubscription,
+									'subscription.customer_id',
+									null
+								),
+								email: get(
+									cbSubscription,
+									'customer.email',
+									null
+								),
+								created_at: getCurrentTS(),
+								status: SWAP_WAITLIST_STATUS.waiting,
+							},
+						]
+					);
+
+					if (!insertId) {
+						const err = new Error(
+							`Waitlist record was not created (subscription_id: ${cbSubscriptionId}, product_id: ${productId}).`
+						);
+						err.status = 500;
+						throw err;
+					}
+
+					waitlistId = insertId;
+				}
+
+				// Position in line
+				const [cRows] = await connection.query(
+					`SELECT COUNT(id) AS position
+                        FROM swap_waitlist
+                        WHERE rotm = ? AND product_id = ? AND status = ? AND id <= ?`,
+					[
+						currentRotmId,
+						productId,
+						SWAP_WAITLIST_STATUS.waiting,
+						waitlistId,
+					]
+				);
+
+				respObj.waitlist_id = waitlistId;
+				respObj.position = get(cRows, '[0].position', 0);
+
+				// Commit
+				await connection.commit();
+
+				// Waitlist offers of the request -> email
+				await queueSwapWaitlistOfferEmails({
+					requestId: getRequestId(req),
+				});
+			} catch (err) {
+				await connection.rollback();
+				throw err;
+			} finally {
+				connection.release();
+			}
+
+			return res.status(200).send(respObj);
+		} catch (error) {
+			return next(error);
+		}
+	}
+
+	// POST
+	async function swapSubscriptionRecord(req, res, next) {
+		try {
+			const {
+				subscription_id: cbSubscriptionId,
+				track,
+				type,
+				customer_id: customerId,
+				gift_code: giftCode,
+				gift_bundle: giftBundle,
+				gifter_customer_id: gifterCustomerId,
+				gifter_order_id: gifterOrderId,
+				swapped_product_id: swappedProductId,
+				product_id: productId,
+				variant_id: variantId,
+				title,
+				vendor,
+				image,
+				handle,
+			} = req.body;
+
+			let success = false;
+			let isCommitted = false;
+			const isSwapForCredit = isSwapForCreditProduct(productId);
+
+			// Compensation log -> restore meta_data if the swap isn't committed
+			const compensationLog = createCompensationLog({
+				requestId: getRequestId(req),
+				scope: 'swap_subscription_record',
+				cbCustomerId: req.cbCustomerId,
+			});
+
+			// Connect to DB
+			const pool = DB.getInstance();
+			const connection = await pool.getConnection();
+
+			// Begin Transaction
+			await connection.beginTransaction();
+
+			try {
+				// Swapped ROTM id
+				let rotmId = false;
+
+				// Return expired reservations of the record and the
+				// subscription to inventory
+				await releaseExpiredSwapReservations({
+					connection,
+					productId: isSwapForCredit ? null : productId,
+					subscriptionId: cbSubscriptionId,
+					requestId: getRequestId(req),
+				});
+
+				// Adjust inventory in our DB -> Exclude Swap for credit
+				if (!isSwapForCredit) {
+					// Subscription's reservation -> selected record is already held
+					const reservation = await consumeSwapReservation({
+						connection,
+						subscriptionId: cbSubscriptionId,
+						productId,
+						requestId: getRequestId(req),
+					});
+
+					if (reservation) {
+						rotmId = reservation.rotm;
+					} else {
+						// SELECT Current ROTM from rotm swap products
+						// Only the available ( swap > 0 )
+						// Inventory stop flag can be set from env variables (INVENTORY_STOP_QUANTITY)
+						const inventoryStopFlag =
+							process.env.INVENTORY_STOP_QUANTITY || 0;
+						const [rows] = await connection.query(
+							`SELECT r.id as rotm_id
+                                FROM rotms r
+                                    INNER JOIN rotms_swap_products rp
+                                    ON rp.rotm = r.id AND rp.product_id = ?
+                                        AND rp.available_swap_quantity > ? AND rp.status = 1
+                                WHERE r.status = 2 LIMIT 0,1`,
+							[productId, inventoryStopFlag]
+						);
+
+						// Check if available
+						if (!rows || rows.length === 0) {
+							const err = new Error(
+								'Variant is not available on swap subscription record'
+							);
+							err.status = 422;
+							throw err;
+						}
+
+						// ROTM id
+						rotmId = get(rows, '[0].rotm_id', false);
+					}
+
+					// UPDATE Current ROTM record inventory
+					// existingsub - 1
+					// swap + 1
+					const { affectedRows } = await adjustSwapProductInventory({
+						connection,
+						rotmId,
+						productId: swappedProductId,
+						adjustments: { existingsub: -1, swap: 1 },
+						reason: 'swap_from',
+						subscriptionId: cbSubscriptionId,
+						requestId: getRequestId(req),
+					});
+
+					if (affectedRows !== 1) {
+						const err = new Error(
+							`Inventory was not updated (current_product_id: ${swappedProductId}).`
+						);
+						err.status = 500;
+						throw err;
+					}
+
+					// Returned swap unit -> offer to the waitlist
+					await offerSwapUnitToWaitlist({
+						connection,
+						rotmId,
+						productId: swappedProductId,
+						requestId: getRequestId(req),
+					});
+
+					// UPDATE Selected Record inventory
+					// swap - 1 -> reserved units were already taken
+					if (!reservation) {
+						await adjustSwapProductInventory({
+							connection,
+							rotmId,
+							productId,
+							adjustments: { swap: -1 },
+							reason: 'swap_to',
+							subscriptionId: cbSubscriptionId,
+							requestId: getRequestId(req),
+							swapAbove: 0,
+						});
+					}
+				} else {
+					// Swap for credit -> release the record held by the member
+					await consumeSwapReservation({
+						connection,
+						subscriptionId: cbSubscriptionId,
+						productId,
+						requestId: getRequestId(req),
+					});
+
+					// SELECT current ROTM
+					({ currentRotmId: rotmId } = await fetchCurrentROTM({
+						connection,
+					}));
+				}
+
+				// Subscription meta_data (with gift meta_data -> if any)
+				const pObj = {
+					meta_data: buildMetaData({
+						type,
+						product: {
+							id: productId,
+							variant_id: variantId,
+							track: track.toLowerCase(),
+							swapped: true,
+							swapped_date: Math.floor(
+								DateTime.local().toSeconds()
+							),
+						},
+						gift: {
+							customer_id: customerId,
+							gift_code: giftCode,
+							gift_bundle: giftBundle,
+							gifter_customer_id: gifterCustomerId,
+							gifter_order_id: gifterOrderId,
+						},
+					}),
+				};
+
+				// Update CB subscription with the new meta_data
+				const {
+					subscription: updatedCBSubscription,
+					customer: cbCustomer,
+				} = await chargebeeService.updateCBCustomerSubscription(
+					cbSubscriptionId,
+					pObj
+				);
+
+				// Validate
+				if (!updatedCBSubscription || !updatedCBSubscription.id) {
+					const err = new Error(
+						`Subscription was not updated (swapSubscriptionRecord) (subscription_id: ${cbSubscriptionId}).`
+					);
+					err.status = 500;
+					throw err;
+				}
+
+				const previousMetaData = get(
+					req,
+					['cbSubscriptions', cbSubscriptionId, 'meta_data'],
+					null
+				);
+
+				if (previousMetaData) {
+					compensationLog.add(
+						'chargebee_meta_data',
+						{ subscription_id: cbSubscriptionId },
+						() =>
+							// eslint-disable-next-line implicit-arrow-linebreak
+							chargebeeService.updateCBCustomerSubscription(
+								cbSubscriptionId,
+								{ meta_data: previousMetaData }
+							)
+					);
+				}
+
+				// INSERT swap history
+				const { month, year } = getRecordMonth();
+				const [{ insertId: swapHistoryId }] = await connection.query(
+					'INSERT INTO swap_history SET ?',
+					[
+						{
+							subscription_id: updatedCBSubscription.id,
+							cb_customer_id: updatedCBSubscription.customer_id,
+							rotm: rotmId,
+							swapped_from_product_id: swappedProductId || null,
+							swapped_to_product_id: productId,
+							variant_id: variantId,
+							track: track.toLowerCase(),
+							is_swap_for_credit: isSwapForCredit ? 1 : 0,
+							month,
+							year,
+							created_at: getCurrentTS(),
+							status: 1,
+						},
+					]
+				);
+
+				// Swapped away from credit -> the earlier credit is reversed
+				if (isSwapForCreditProduct(swappedProductId)) {
+					await reverseMembershipCredit({
+						connection,
+						cbCustomerId: updatedCBSubscription.customer_id,
+						subscriptionId: updatedCBSubscription.id,
+						requestId: getRequestId(req),
+						compensationLog,
+					});
+				}
+
+				// Swapped for credit -> issue membership credit
+				if (isSwapForCredit) {
+					await issueMembershipCredit({
+						connection,
+						cbCustomerId: updatedCBSubscription.customer_id,
+						subscriptionId: updatedCBSubscription.id,
+						swapHistoryId,
+						requestId: getRequestId(req),
+						compensationLog,
+					});
+				}
+
+				// Audit log
+				await recordAuditEntry({
+					connection,
+					actor: getAuditActor(req),
+					action: 'record_swapped',
+					subscriptionId: updatedCBSubscription.id,
+					cbCustomerId: updatedCBSubscription.customer_id,
+					before: previousMetaData,
+					after: updatedCBSubscription.meta_data || pObj.meta_data,
+					changes: {
+						product_id: {
+							from: get(previousMetaData, 'product.id', null),
+							to: productId,
+						},
+						swap_history_id: swapHistoryId,
+						is_swap_for_credit: isSwapForCredit,
+					},
+					requestId: getRequestId(req),
+				});
+
+				// Commit
+				await connection.commit();
+				isCommitted = true;
+
+				// Committed -> a retry gets this response
+				await completeIdempotencyKey(req, 200, {
+					success: true,
+					is_swap_for_credit: isSwapForCredit,
+				});
+
+				// Waitlist offers of the request -> email
+				await queueSwapWaitlistOfferEmails({
+					requestId: getRequestId(req),
+				});
+
+				// Initialize queue
+				const VMPQueue = new RedisUtil.VMPQueue();
+
+				// Add to Queue -> Sync Swaps Analysis
+				const swapAnalysisJob = {
+					track,
+					subscription_id: updatedCBSubscription.id,
+					swappedProductId,
+					swapProductId: productId,
+					isSwapForCredit,
+				};
+				await compensationLog.afterCommit(
+					'swap_analysis_job',
+					swapAnalysisJob,
+					() =>
+						// eslint-disable-next-line implicit-arrow-linebreak
+						VMPQueue.addToQueue(
+							'sync_swap_analysis_job',
+							swapAnalysisJob,
+							5
+						)
+				);
+
+				// Add to Queue -> Adjust Shopify inventory after swap
+				// Triggers multiple jobs
+				const inventoryJob = {
+					swappedProductId,
+					swapProductId: productId,
+					swapVariantId: variantId,
+				};
+				await compensationLog.afterCommit(
+					'inventory_after_swap_job',
+					inventoryJob,
+					() =>
+						// eslint-disable-next-line implicit-arrow-linebreak
+						VMPQueue.addToQueue(
+							'adjust_inventory_after_swap_job',
+							inventoryJob,
+							5
+						)
+				);
+
+				// Send swap confirmation email
+				const firstName = get(cbCustomer, 'first_name', '');
+				const lastName = get(cbCustomer, 'last_name', '');
+				const email = get(cbCustomer, 'email', null);
+
+				if (email) {
+					// Add to queue
+					await compensationLog.afterCommit(
+						'swap_confirmation_email_job',
+						{ email, product_id: productId },
+						() =>
+							// eslint-disable-next-line implicit-arrow-linebreak
+							VMPQueue.addToQueue(
+								'send_swap_confirmation_email_job',
+								{
+									first_name: firstName,
+									last_name: lastName,
+									email,
+									product_id: productId,
+									variant_id: variantId,
+									track,
+									title,
+									vendor,
+									image,
+									handle,
+									is_swap_for_credit: isSwapForCredit,
+								},
+								5
+							)
+					);
+				}
+			} catch (err) {
+				// Failed before commit -> undo the Chargebee meta_data update
+				if (!isCommitted) {
+					await connection.rollback();
+					await compensationLog.compensate(err);
+				}
+				throw err;
+			} finally {
+				connection.release();
+			}
+
+			success = true;
+			return res
+				.status(200)
+				.send({ success, is_swap_for_credit: isSwapForCredit });
+		} catch (error) {
+			return next(error);
+		}
+	}
+
+	// Issue membership credit for a swap for credit
+	// Credits are Chargebee promotional credits, every entry is kept on membership_credits
+	// Chargebee changes are undone with the swap's compensation log if it isn't committed
+	// Promotional credits go through the chargebeeService passed to the controller
+	// (../services, outside this folder), which has to provide:
+	// - addCBPromotionalCredits(customerId, { amount, description, reference })
+	//   -> chargebee.customer.add_promotional_credits
+	// - deductCBPromotionalCredits(customerId, { amount, description, reference })
+	//   -> chargebee.customer.deduct_promotional_credits
+	// Both resolve with the Chargebee result, { customer, promotional_credit }
+	async function issueMembershipCredit(obj) {
+		const {
+			connection,
+			cbCustomerId,
+			subscriptionId,
+			swapHistoryId,
+			requestId,
+			compensationLog,
+		} = obj;
+
+		const amount = parseInt(process.env.SWAP_FOR_CREDIT_AMOUNT, 10);
+
+		if (!amount) {
+			const err = new Error('Swap for credit amount is not set.');
+			err.status = 500;
+			throw err;
+		}
+
+		const { monthName } = getRecordMonth();
+
+		// Add promotional credits on Chargebee
+		const { promotional_credit: promotionalCredit } =
+			await chargebeeService.addCBPromotionalCredits(cbCustomerId, {
+				amount,
+				description: `Membership Credits - ${monthName} swap for credit`,
+				reference: `swap_history_${swapHistoryId}`,
+			});
+
+		// Not committed -> credits are deducted again
+		compensationLog.add(
+			'chargebee_promotional_credits_added',
+			{ cb_customer_id: cbCustomerId, amount },
+			() =>
+				// eslint-disable-next-line implicit-arrow-linebreak
+				chargebeeService.deductCBPromotionalCredits(cbCustomerId, {
+					amount,
+					description: 'Membership Credits - swap for credit failed',
+					reference: `swap_history_${swapHistoryId}`,
+				})
+		);
+
+		await connection.query('INSERT INTO membership_credits SET ?', [
+			{
+				cb_customer_id: cbCustomerId,
+				subscription_id: subscriptionId,
+				swap_history_id: swapHistoryId,
+				type: MEMBERSHIP_CREDIT_TYPES.issued,
+				amount,
+				cb_promotional_credit_id: get(promotionalCredit, 'id', null),
+				request_id: requestId,
+				created_at: getCurrentTS(),
+				status: 1,
+			},
+		]);
+	}
+
+	// Reverse subscription's last membership credit when the swap for credit is undone
+	// Credits already spent on an invoice can't be taken back -> only the balance left is deducted
+	async function reverseMembershipCredit(obj) {
+		const {
+			connection,
+			cbCustomerId,
+			subscriptionId,
+			requestId,
+			compensationLog,
+		} = obj;
+
+		// SELECT last credit not reversed yet
+		const [rows] = await connection.query(
+			`SELECT id, swap_history_id, amount
+                FROM membership_credits
+                WHERE subscription_id = ? AND type = ? AND status = 1
+                ORDER BY id DESC
+                LIMIT 0,1
+                FOR UPDATE`,
+			[subscriptionId, MEMBERSHIP_CREDIT_TYPES.issued]
+		);
+
+		const credit = get(rows, '[0]', false);
+
+		if (!credit) return;
+
+		// Chargebee balance
+		const { customer: cbCustomer } =
+			await chargebeeService.getCBCustomerById(cbCustomerId);
+		const amount = Math.min(
+			credit.amount,
+			get(cbCustomer, 'promotional_credits', 0)
+		);
+
+		let promotionalCredit = null;
+
+		if (amount > 0) {
+			({ promotional_credit: promotionalCredit } =
+				await chargebeeService.deductCBPromotionalCredits(
+					cbCustomerId,
+					{
+						amount,
+						description:
+							'Membership Credits - swap for credit undone',
+						reference: `swap_history_${credit.swap_history_id}`,
+					}
+				));
+
+			// Not committed -> credits are given back
+			compensationLog.add(
+				'chargebee_promotional_credits_deducted',
+				{ cb_customer_id: cbCustomerId, amount },
+				() =>
+					// eslint-disable-next-line implicit-arrow-linebreak
+					chargebeeService.addCBPromotionalCredits(cbCustomerId, {
+						amount,
+						description:
+							'Membership Credits - swap for credit undo failed',
+						reference: `swap_history_${credit.swap_history_id}`,
+					})
+			);
+		}
+
+		await connection.query('INSERT INTO membership_credits SET ?', [
+			{
+				cb_customer_id: cbCustomerId,
+				subscription_id: subscriptionId,
+				swap_history_id: credit.swap_history_id,
+				type: MEMBERSHIP_CREDIT_TYPES.reversed,
+				amount: -amount,
+				cb_promotional_credit_id: get(promotionalCredit, 'id', null),
+				request_id: requestId,
+				created_at: getCurrentTS(),
+				status: 1,
+			},
+		]);
+
+		// Issued credit is closed
+		await connection.query(
+			'UPDATE membership_credits SET status = 2, updated_at = ? WHERE id = ? LIMIT 1',
+			[getCurrentTS(), credit.id]
+		);
+	}
+
+	// GET member's membership credits
+	// - balance is the Chargebee promotional credits left
+	// - history lists every issued and reversed credit
+	async function getMembershipCredits(req, res, next) {
+		try {
+			const { customer_id: cbCustomerId } = req.query;
+
+			const { customer: cbCustomer } =
+				await chargebeeService.getCBCustomerById(cbCustomerId);
+
+			// Connect to DB
+			const pool = DB.getInstance();
+
+			const [history] = await pool.query(
+				`SELECT mc.id, mc.subscription_id, mc.type, mc.amount, mc.created_at,
+                    sh.month, sh.year, sh.track
+                    FROM membership_credits mc
+                        LEFT JOIN swap_history sh ON sh.id = mc.swap_history_id
+                    WHERE mc.cb_customer_id = ?
+                    ORDER BY mc.id DESC`,
+				[cbCustomerId]
+			);
+
+			const sum = (type) =>
+				// eslint-disable-next-line implicit-arrow-linebreak
+				history
+					.filter((f) => f.type === type)
+					.reduce((acc, f) => acc + Math.abs(f.amount), 0);
+
+			return res.status(200).send({
+				success: true,
+				balance: get(cbCustomer, 'promotional_credits', 0),
+				total_issued: sum(MEMBERSHIP_CREDIT_TYPES.issued),
+				total_reversed: sum(MEMBERSHIP_CREDIT_TYPES.reversed),
+				history,
+			});
+		} catch (error) {
+			return next(error);
+		}
+	}
+
+	// GET subscriber's swap history grouped by month
+	async function getSwapHistory(req, res, next) {
+		try {
+			const {
+				customer_id: cbCustomerId,
+				subscription_id: cbSubscriptionId,
+			} = req.query;
+
+			// Connect to DB
+			const pool = DB.getInstance();
+			const connection = await pool.getConnection();
+
+			let rows = [];
+
+			try {
+				const params = [cbCustomerId];
+				let ssql = '';
+
+				if (cbSubscriptionId) {
+					ssql = 'AND subscription_id = ?';
+					params.push(cbSubscriptionId);
+				}
+
+				[rows] = await connection.query(
+					`SELECT id, subscription_id, rotm, swapped_from_product_id, swapped_to_product_id,
+                            variant_id, track, is_swap_for_credit, month, year, created_at
+                        FROM swap_history
+                        WHERE cb_customer_id = ? ${ssql} AND status = 1
+                        ORDER BY created_at DESC`,
+					params
+				);
+			} finally {
+				connection.release();
+			}
+
+			// Group by record month -> newest first
+			const months = [];
+
+			rows.forEach((row) => {
+				let monthObj = months.find(
+					(f) => f.month === row.month && f.year === row.year
+				);
+
+				if (!monthObj) {
+					monthObj = { month: row.month, year: row.year, swaps: [] };
+					months.push(monthObj);
+				}
+
+				monthObj.swaps.push({
+					...row,
+					is_swap_for_credit: !!row.is_swap_for_credit,
+				});
+			});
+
+			return res.status(200).send({ success: true, months });
+		} catch (error) {
+			return next(error);
+		}
+	}
+
+	// GET inventory ledger entries (admin)
+	// - filter by rotm, product, bucket, reason, subscription or request
+	// - totals sum the deltas per bucket over the whole filter
+	async function getInventoryLedger(req, res, next) {
+		try {
+			const {
+				rotm,
+				product_id: productId,
+				bucket,
+				reason,
+				subscription_id: subscriptionId,
+				request_id: requestId,
+			} = req.query;
+			const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+			const offset = parseInt(req.query.offset, 10) || 0;
+
+			// Validate
+			if (!rotm && !productId && !subscriptionId && !requestId) {
+				const err = new Error(
+					'Missing params on get inventory ledger.'
+				);
+				err.status = 422;
+				throw err;
+			}
+
+			// Filters
+			const filters = {
+				rotm,
+				product_id: productId,
+				bucket,
+				reason,
+				subscription_id: subscriptionId,
+				request_id: requestId,
+			};
+			const columns = Object.keys(filters).filter((f) => filters[f]);
+			const wsql = columns.map((column) => `${column} = ?`).join(' AND ');
+			const params = columns.map((column) => filters[column]);
+
+			// Connect to DB
+			const pool = DB.getInstance();
+			const connection = await pool.getConnection();
+
+			let entries = [];
+			let totals = [];
+
+			try {
+				[entries] = await connection.query(
+					`SELECT id, rotm, product_id, bucket, delta, reason, subscription_id, request_id, created_at
+                        FROM rotms_swap_products_ledger
+                        WHERE ${wsql}
+                        ORDER BY id DESC
+                        LIMIT ?, ?`,
+					[...params, offset, limit]
+				);
+
+				[totals] = await connection.query(
+					`SELECT bucket, SUM(delta) AS delta, COUNT(id) AS entries
+                        FROM rotms_swap_products_ledger
+                        WHERE ${wsql}
+                        GROUP BY bucket`,
+					params
+				);
+			} finally {
+				connection.release();
+			}
+
+			return res.status(200).send({
+				success: true,
+				entries,
+				totals,
+				limit,
+				offset,
+			});
+		} catch (error) {
+			return next(error);
+		}
+	}
+
+	// GET audit log entries (admin)
+	// - filter by customer, subscription, request, action and/or date range (yyyy-MM-dd)
+	async function getAuditLog(req, res, next) {
+		try {
+			const {
+				customer_id: cbCustomerId,
+				subscription_id: subscriptionId,
+				request_id: requestId,
+				action,
+				from,
+				to,
+			} = req.query;
+			const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+			const offset = parseInt(req.query.offset, 10) || 0;
+
+			// Validate
+			if (
+				!cbCustomerId &&
+				!subscriptionId &&
+				!requestId &&
+				!from &&
+				!to
+			) {
+				const err = new Error('Missing params on get audit log.');
+				err.status = 422;
+				throw err;
+			}
+
+			// Filters
+			const filters = {
+				cb_customer_id: cbCustomerId,
+				subscription_id: subscriptionId,
+				request_id: requestId,
+				action,
+			};
+			const columns = Object.keys(filters).filter((f) => filters[f]);
+			const conditions = columns.map((column) => `${column} = ?`);
+			const params = columns.map((column) => filters[column]);
+
+			if (from) {
+				conditions.push('created_at >= ?');
+				params.push(`${from} 00:00:00`);
+			}
+
+			if (to) {
+				conditions.push('created_at <= ?');
+				params.push(`${to} 23:59:59`);
+			}
+
+			// Connect to DB
+			const pool = DB.getInstance();
+
+			const [rows] = await pool.query(
+				`SELECT id, action, actor_type, actor_id, subscription_id, cb_customer_id,
+                    before_meta_data, after_meta_data, changes, inventory, request_id, created_at
+                    FROM subscription_audit_log
+                    WHERE ${conditions.join(' AND ')}
+                    ORDER BY id DESC
+                    LIMIT ?, ?`,
+				[...params, offset, limit]
+			);
+
+			const parseJSON = (value) => (value ? JSON.parse(value) : null);
+			const entries = rows.map((f) => ({
+				...f,
+				before_meta_data: parseJSON(f.before_meta_data),
+				after_meta_data: parseJSON(f.after_meta_data),
+				changes: parseJSON(f.changes),
+				inventory: parseJSON(f.inventory),
+			}));
+
+			return res.status(200).send({
+				success: true,
+				entries,
+				limit,
+				offset,
+			});
+		} catch (error) {
+			return next(error);
+		}
+	}
+
+	// Move one subscription from the source product to the target product
+	// - swapped members move their swap unit, the others their existingsub unit
+	// - inventory and meta_data are updated together, meta_data is restored if not committed
+	// - jobs are queued after commit and never fail a committed move
+	async function reassignSubscriptionProduct(obj) {
+		const {
+			subscription,
+			customer,
+			rotmId,
+			sourceProductId,
+			targetProductId,
+			targetVariantId,
+			requestId,
+			actor,
+		} = obj;
+
+		const cbSubMetaData = subscription.meta_data;
+		const isSwappedProduct = get(cbSubMetaData, 'product.swapped', false);
+		const bucket = isSwappedProduct ? 'swap' : 'existingsub';
+
+		let isCommitted = false;
+
+		// Compensation log -> restore meta_data if the move isn't committed
+		const compensationLog = createCompensationLog({
+			requestId,
+			scope: 'reassign_subscription_product',
+			cbCustomerId: subscription.customer_id,
+		});
+
+		// Connect to DB
+		const pool = DB.getInstance();
+		const connection = await pool.getConnection();
+
+		// Begin Transaction
+		await connection.beginTransaction();
+
+		try {
+			// Source product -> unit is given back
+			await adjustSwapProductInventory({
+				connection,
+				rotmId,
+				productId: sourceProductId,
+				adjustments: { [bucket]: isSwappedProduct ? 1 : -1 },
+				reason: 'bulk_reassign_from',
+				subscriptionId: subscription.id,
+				requestId,
+			});
+
+			// Target product -> unit is taken
+			// Swapped members take a swap unit -> only if available
+			const { affectedRows } = await adjustSwapProductInventory({
+				connection,
+				rotmId,
+				productId: targetProductId,
+				adjustments: { [bucket]: isSwappedProduct ? -1 : 1 },
+				reason: 'bulk_reassign_to',
+				subscriptionId: subscription.id,
+				requestId,
+				swapAbove: isSwappedProduct ? 0 : undefined,
+			});
+
+			if (affectedRows !== 1 && isSwappedProduct) {
+				const err = new Error(
+					`No swap units are available on the target product (target_product_id: ${targetProductId}).`
+				);
+				err.status = 422;
+				throw err;
+			}
+
+			if (affectedRows !== 1) {
+				const err = new Error(
+					`Inventory was not updated (target_product_id: ${targetProductId}).`
+				);
+				err.status = 500;
+				throw err;
+			}
+
+			// Update CB subscription with the target product
+			const { subscription: updatedCBSubscription } =
+				await chargebeeService.updateCBCustomerSubscription(
+					subscription.id,
+					{
+						meta_data: {
+							...cbSubMetaData,
+							product: {
+								...cbSubMetaData.product,
+								id: targetProductId,
+								variant_id: targetVariantId,
+								reassigned_from: sourceProductId,
+							},
+						},
+					}
+				);
+
+			// Validate
+			if (!updatedCBSubscription || !updatedCBSubscription.id) {
+				const err = new Error(
+					`Subscription was not updated on reassign ROTM product (subscription_id: ${subscription.id}).`
+				);
+				err.status = 500;
+				throw err;
+			}
+
+			compensationLog.add(
+				'chargebee_meta_data',
+				{ subscription_id: subscription.id },
+				() =>
+					// eslint-disable-next-line implicit-arrow-linebreak
+					chargebeeService.updateCBCustomerSubscription(
+						subscription.id,
+						{ meta_data: cbSubMetaData }
+					)
+			);
+
+			// Audit log
+			await recordAuditEntry({
+				connection,
+				actor,
+				action: 'product_reassigned',
+				subscriptionId: subscription.id,
+				cbCustomerId: subscription.customer_id,
+				before: cbSubMetaData,
+				after: updatedCBSubscription.meta_data,
+				changes: {
+					product_id: { from: sourceProductId, to: targetProductId },
+					rotm: rotmId,
+				},
+				requestId,
+			});
+
+			// Commit
+			await connection.commit();
+			isCommitted = true;
+
+			// Initialize queue
+			const VMPQueue = new RedisUtil.VMPQueue();
+
+			// Add to Queue -> Adjust Shopify inventory after swap
+			// Triggers multiple jobs
+			const inventoryJob = {
+				swappedProductId: sourceProductId,
+				swapProductId: targetProductId,
+				swapVariantId: targetVariantId,
+			};
+			await compensationLog.afterCommit(
+				'inventory_after_swap_job',
+				inventoryJob,
+				() =>
+					// eslint-disable-next-line implicit-arrow-linebreak
+					VMPQueue.addToQueue(
+						'adjust_inventory_after_swap_job',
+						inventoryJob,
+						5
+					)
+			);
+
+			// Add to Queue -> Notify member
+			const email = get(customer, 'email', null);
+
+			if (email) {
+				await compensationLog.afterCommit(
+					'record_reassignment_email_job',
+					{ email, product_id: targetProductId },
+					() =>
+						// eslint-disable-next-line implicit-arrow-linebreak
+						VMPQueue.addToQueue(
+							'send_record_reassignment_email_job',
+							{
+								first_name: get(customer, 'first_name', ''),
+								last_name: get(customer, 'last_name', ''),
+								email,
+								rotm: rotmId,
+								previous_product_id: sourceProductId,
+								product_id: targetProductId,
+								variant_id: targetVariantId,
+								track: get(
+									cbSubMetaData,
+									'product.track',
+									null
+								),
+							},
+							5
+						)
+				);
+			}
+		} catch (err) {
+			// Failed before commit -> undo the Chargebee meta_data update
+			if (!isCommitted) {
+				await connection.rollback();
+				await compensationLog.compensate(err);
+			}
+			throw err;
+		} finally {
+			connection.release();
+		}
+	}
+
+	// Bulk re-assign a ROTM product's subscribers to another product (admin)
+	// - used when a pressing is delayed or pulled
+	// - Chargebee subscriptions are scanned in batches, every subscription on the
+	//   source product (optionally only of a track) is moved to the target product
+	// - each call processes one batch and returns the progress report,
+	//   call again with reassignment_id to resume until it is completed
+	// - dry_run only reports the subscriptions that would be moved
+	async function reassignRotmProduct(req, res, next) {
+		try {
+			const { reassignment_id: reassignmentId } = req.body;
+			const batchSize = Math.min(
+				parseInt(req.body.batch_size, 10) || REASSIGNMENT_BATCH_SIZE,
+				REASSIGNMENT_BATCH_SIZE
+			);
+
+			// Connect to DB
+			const pool = DB.getInstance();
+
+			let reassignment = null;
+
+			if (reassignmentId) {
+				// SELECT reassignment to resume
+				const [rows] = await pool.query(
+					'SELECT * FROM rotm_reassignments WHERE id = ? LIMIT 0,1',
+					[reassignmentId]
+				);
+
+				reassignment = get(rows, '[0]', null);
+
+				if (!reassignment) {
+					const err = new Error(
+						`Reassignment was not found (reassignment_id: ${reassignmentId}).`
+					);
+					err.status = 404;
+					throw err;
+				}
+			} else {
+				const {
+					rotm,
+					source_product_id: sourceProductId,
+					target_product_id: targetProductId,
+					target_variant_id: targetVariantId,
+					track,
+					dry_run: dryRun,
+				} = req.body;
+
+				if (
+					parseInt(sourceProductId, 10) ===
+					parseInt(targetProductId, 10)
+				) {
+					const err = new Error(
+						'Source and target products must be different.'
+					);
+					err.status = 422;
+					throw err;
+				}
+
+				// Both products must be on the ROTM
+				const [pRows] = await pool.query(
+					`SELECT product_id
+                        FROM rotms_swap_products
+                        WHERE rotm = ? AND product_id IN (?, ?) AND status = 1`,
+					[rotm, sourceProductId, targetProductId]
+				);
+
+				if (!pRows || pRows.length !== 2) {
+					const err = new Error(
+						`Source and target products must be on ROTM ${rotm}.`
+					);
+					err.status = 422;
+					throw err;
+				}
+
+				// Target variant must be a variant of the target product
+				const variants =
+					await shopifyService.fetchShopifyProductVariants(
+						targetProductId
+					);
+				const variantObj = (variants || []).find(
+					(item) =>
+						// eslint-disable-next-line implicit-arrow-linebreak
+						parseInt(parseGid(item.id), 10) ===
+						parseInt(targetVariantId, 10)
+				);
+
+				if (!variantObj) {
+					const err = new Error(
+						`Target variant is not a variant of the target product (target_variant_id: ${targetVariantId}).`
+					);
+					err.status = 422;
+					throw err;
+				}
+
+				reassignment = {
+					rotm,
+					source_product_id: parseInt(sourceProductId, 10),
+					target_product_id: parseInt(targetProductId, 10),
+					target_variant_id: parseInt(targetVariantId, 10),
+					track: track ? track.toLowerCase() : null,
+					dry_run: dryRun === true ? 1 : 0,
+					next_offset: null,
+					scanned: 0,
+					matched: 0,
+					moved: 0,
+					failed: 0,
+					request_id: getRequestId(req),
+					created_at: getCurrentTS(),
+					status: 'running',
+				};
+
+				const [{ insertId }] = await pool.query(
+					'INSERT INTO rotm_reassignments SET ?',
+					[reassignment]
+				);
+
+				reassignment.id = insertId;
+			}
+
+			const report = (items) => ({
+				success: true,
+				reassignment_id: reassignment.id,
+				status: reassignment.status,
+				dry_run: !!reassignment.dry_run,
+				rotm: reassignment.rotm,
+				source_product_id: reassignment.source_product_id,
+				target_product_id: reassignment.target_product_id,
+				track: reassignment.track,
+				scanned: reassignment.scanned,
+				matched: reassignment.matched,
+				moved: reassignment.moved,
+				failed: reassignment.failed,
+				items,
+			});
+
+			// Nothing left to do
+			if (reassignment.status === 'completed') {
+				return res.status(200).send(report([]));
+			}
+
+			// One batch at a time
+			const lockName = `rotm_reassignment_${reassignment.id}`;
+			const connection = await pool.getConnection();
+
+			try {
+				const [[{ locked }]] = await connection.query(
+					'SELECT GET_LOCK(?, 0) AS locked',
+					[lockName]
+				);
+
+				if (locked !== 1) {
+					const err = new Error(
+						`Reassignment is already running (reassignment_id: ${reassignment.id}).`
+					);
+					err.status = 409;
+					throw err;
+				}
+
+				// GET next batch of active and future subscriptions
+				const params = {
+					limit: batchSize,
+					'status[in]': JSON.stringify(['active', 'future']),
+				};
+
+				if (reassignment.next_offset) {
+					params.offset = reassignment.next_offset;
+				}
+
+				const { list, next_offset: nextOffset } =
+					await chargebeeService.getCBSubscriptions(params);
+
+				// Upgraded meta_data -> malformed subscriptions are reported
+				const { subscriptions, malformed } = readSubscriptions(list);
+
+				if (malformed.length > 0) {
+					await reportMalformedSubscriptions({
+						malformed,
+						requestId: reassignment.request_id,
+					});
+				}
+
+				// Subscriptions on the source product (and track)
+				const matches = subscriptions.filter(
+					({ subscription }) =>
+						// eslint-disable-next-line implicit-arrow-linebreak
+						subscription &&
+						parseInt(
+							get(subscription, 'meta_data.product.id', 0),
+							10
+						) === reassignment.source_product_id &&
+						(!reassignment.track ||
+							String(
+								get(subscription, 'meta_data.product.track', '')
+							).toLowerCase() === reassignment.track)
+				);
+
+				const items = [];
+
+				// Sequential -> inventory updates of the same rows
+				// eslint-disable-next-line no-restricted-syntax
+				for (const { subscription, customer } of matches) {
+					const item = {
+						subscription_id: subscription.id,
+						track: get(
+							subscription,
+							'meta_data.product.track',
+							null
+						),
+						swapped: !!get(
+							subscription,
+							'meta_data.product.swapped',
+							false
+						),
+						outcome: 'dry_run',
+						error: null,
+					};
+
+					if (!reassignment.dry_run) {
+						try {
+							// eslint-disable-next-line no-await-in-loop
+							await reassignSubscriptionProduct({
+								subscription,
+								customer,
+								rotmId: reassignment.rotm,
+								sourceProductId: reassignment.source_product_id,
+								targetProductId: reassignment.target_product_id,
+								targetVariantId: reassignment.target_variant_id,
+								requestId: reassignment.request_id,
+								actor: getAuditActor(req, 'admin'),
+							});
+
+							item.outcome = 'moved';
+						} catch (err) {
+							item.outcome = 'failed';
+							item.error = err.message;
+						}
+					}
+
+					items.push(item);
+				}
+
+				// INSERT batch items
+				if (items.length > 0) {
+					await connection.query(
+						`INSERT INTO rotm_reassignment_items
+                            (reassignment_id, subscription_id, track, swapped, outcome, error, created_at)
+                            VALUES ?`,
+						[
+							items.map((f) => [
+								reassignment.id,
+								f.subscription_id,
+								f.track,
+								f.swapped ? 1 : 0,
+								f.outcome,
+								f.error,
+								getCurrentTS(),
+							]),
+						]
+					);
+				}
+
+				// UPDATE progress
+				reassignment.scanned += (list || []).length;
+				reassignment.matched += matches.length;
+				reassignment.moved += items.filter(
+					(f) => f.outcome === 'moved'
+				).length;
+				reassignment.failed += items.filter(
+					(f) => f.outcome === 'failed'
+				).length;
+				reassignment.next_offset = nextOffset || null;
+				reassignment.status = nextOffset ? 'running' : 'completed';
+
+				await connection.query(
+					'UPDATE rotm_reassignments SET ? WHERE id = ? LIMIT 1',
+					[
+						{
+							scanned: reassignment.scanned,
+							matched: reassignment.matched,
+							moved: reassignment.moved,
+							failed: reassignment.failed,
+							next_offset: reassignment.next_offset,
+							status: reassignment.status,
+							updated_at: getCurrentTS(),
+						},
+						reassignment.id,
+					]
+				);
+
+				return res.status(200).send(report(items));
+			} finally {
+				await connection
+					.query('SELECT RELEASE_LOCK(?)', [lockName])
+					.catch(() => null);
+				connection.release();
+			}
+		} catch (error) {
+			return next(error);
+		}
+	}
+
+	// Redeem gift subscription
+	// - attaches the gift plan to recipient's Chargebee customer
+	// - recipient picks the track and the start month
+	async function redeemGift(req, res, next) {
+		try {
+			const {
+				gift_code: giftCode,
+				sh_customer_id: shCustomerId,
+				cb_customer_id: cbCustomerId,
+				track: postedTrack,
+				start_month: startMonth,
+			} = req.body;
+
+			// Validate start month -> next month up to 3 months ahead (yyyy-MM)
+			const now = DateTime.local().setZone('America/Denver');
+			const firstDayOfNextMonth = now
+				.endOf('month')
+				.plus({ days: 1 })
+				.startOf('day');
+			const startDt = DateTime.fromFormat(startMonth, 'yyyy-MM', {
+				zone: 'America/Denver',
+			});
+
+			if (
+				!startDt.isValid ||
+				startDt < firstDayOfNextMonth ||
+				startDt > firstDayOfNextMonth.plus({ months: 2 })
+			) {
+				const err = new Error(
+					'Please choose a start month within the next 3 months.'
+				);
+				err.status = 422;
+				throw err;
+			}
+
+			// Compensation log -> cancel the gift subscription on failure
+			const compensationLog = createCompensationLog({
+				requestId: getRequestId(req),
+				scope: 'redeem_gift',
+				cbCustomerId,
+			});
+
+			let cbSubscriptionId = null;
+
+			// Connect to DB
+			const pool = DB.getInstance();
+			const connection = await pool.getConnection();
+
+			// Begin Transaction
+			await connection.beginTransaction();
+
+			try {
+				// Validate track
+				const track = await checkIfTrackIsValid({
+					connection,
+					track: postedTrack,
+				});
+
+				if (!track) {
+					const err = new Error('Invalid track on redeem gift.');
+					err.status = 422;
+					throw err;
+				}
+
+				// SELECT gift -> row is locked until commit to block double redemption
+				const [gRows] = await connection.query(
+					`SELECT id, code, plan_id, bundle, gifter_customer_id, gifter_order_id, redeemed_at
+                        FROM gifts
+                        WHERE code = ? AND status = 1
+                        LIMIT 0,1
+                        FOR UPDATE`,
+					[giftCode.trim()]
+				);
+
+				const gift = get(gRows, '[0]', false);
+
+				if (!gift) {
+					const err = new Error(
+						"Sorry we couldn't find this gift code."
+					);
+					err.status = 404;
+					throw err;
+				}
+
+				if (gift.redeemed_at) {
+					const err = new Error(
+						'This gift has already been redeemed.'
+					);
+					err.status = 422;
+					throw err;
+				}
+
+				// Validate customer and address
+				const shCustomer =
+					await shopifyService.fetchShopifyCustomerById(
+						shCustomerId,
+						true,
+						true
+					);
+
+				if (!shCustomer) {
+					const err = new Error(
+						'Please sign up or login with your account.'
+					);
+					err.status = 422;
+					throw err;
+				}
+
+				const addressRegion = getRegionForCountry(
+					get(shCustomer, 'defaultAddress.country_code', '')
+				);
+
+				// Gift plan without a region -> ships everywhere
+				const giftPlanRegion = getPlanRegion(gift.plan_id);
+
+				if (giftPlanRegion && giftPlanRegion.id !== addressRegion.id) {
+					const err = new Error(
+						"This gift can't be shipped to your Shipping Address. Please contact us."
+					);
+					err.status = 422;
+					throw err;
+				}
+
+				// SELECT current ROTM -> next month's record
+				const { swapWindow, rotmRecords, currentRotmId } =
+					await fetchCurrentROTM({ connection });
+
+				const isStartingNextMonth = startDt.equals(firstDayOfNextMonth);
+
+				// Find track's record of the start month
+				// Later months have no ROTM yet -> only the track is stored and the
+				// record is assigned with the rest of the track's subscribers
+				let rotmRecordObj = null;
+
+				if (isStartingNextMonth) {
+					rotmRecordObj = rotmRecords.find(
+						(f) => f.track_value === track
+					);
+
+					if (!rotmRecordObj) {
+						const err = new Error(
+							`Sorry, ${track} record is no longer available.`
+						);
+						err.status = 422;
+						throw err;
+					}
+				}
+
+				// New CB Subscription POST object
+				const pObj = {
+					plan_id: gift.plan_id,
+					start_date: Math.floor(startDt.toSeconds()),
+					coupon_ids: [process.env.CHARGEBEE_GIFT_COUPON_ID],
+					meta_data: buildMetaData({
+						type: 'gift',
+						swapWindow,
+						product: {
+							id: get(rotmRecordObj, 'product_id', null),
+							variant_id: get(
+								rotmRecordObj,
+								'newsub_variant_id',
+								null
+							),
+							track,
+						},
+						gift: {
+							gift_code: gift.code,
+							gift_bundle: gift.bundle,
+							gifter_customer_id: gift.gifter_customer_id,
+							gifter_order_id: gift.gifter_order_id,
+						},
+					}),
+				};
+
+				// Create gift subscription on recipient's Chargebee customer
+				const { subscription } =
+					await chargebeeService.createCBCustomerSubscription(
+						cbCustomerId,
+						pObj,
+						false
+					);
+
+				if (!subscription || !subscription.id) {
+					const err = new Error(
+						`Gift subscription was not created on redeem gift (id: ${cbCustomerId}).`
+					);
+					err.status = 500;
+					throw err;
+				}
+
+				cbSubscriptionId = subscription.id;
+
+				compensationLog.add(
+					'chargebee_subscription',
+					{ subscription_id: subscription.id },
+					() =>
+						// eslint-disable-next-line implicit-arrow-linebreak
+						chargebeeService.cancelCBSubscription(
+							subscription.id,
+							false
+						)
+				);
+
+				// Mark gift as redeemed
+				const [{ affectedRows }] = await connection.query(
+					'UPDATE gifts SET ? WHERE id = ? AND redeemed_at IS NULL LIMIT 1',
+					[
+						{
+							redeemed_at: getCurrentTS(),
+							redeemed_sh_customer_id: shCustomerId,
+							redeemed_cb_customer_id: cbCustomerId,
+							cb_subscription_id: subscription.id,
+							updated_at: getCurrentTS(),
+						},
+						gift.id,
+					]
+				);
+
+				if (affectedRows !== 1) {
+					const err = new Error(
+						`Gift was not redeemed (gift_code: ${gift.code}).`
+					);
+					err.status = 500;
+					throw err;
+				}
+
+				// Adjust inventory -> only for next month's record
+				if (isStartingNextMonth) {
+					// UPDATE DB (Only when swap window is open)
+					// newsub -1
+					if (swapWindow === 'opened') {
+						await adjustSwapProductInventory({
+							connection,
+							rotmId: currentRotmId,
+							productId: rotmRecordObj.product_id,
+							adjustments: { newsub: -1 },
+							reason: 'gift_redeemed',
+							subscriptionId: subscription.id,
+							requestId: getRequestId(req),
+						});
+					}
+
+					// Add to Queue -> Adjust variant's inventory
+					const VMPQueue = new RedisUtil.VMPQueue();
+					await VMPQueue.addToQueue('adjust_variant_inventory_job', {
+						variantId: rotmRecordObj.newsub_variant_id,
+						availableAdjustment: -1,
+					});
+
+					compensationLog.add(
+						'inventory_job',
+						{
+							variantId: rotmRecordObj.newsub_variant_id,
+							availableAdjustment: -1,
+						},
+						() =>
+							// eslint-disable-next-line implicit-arrow-linebreak
+							VMPQueue.addToQueue(
+								'adjust_variant_inventory_job',
+								{
+									variantId: rotmRecordObj.newsub_variant_id,
+									availableAdjustment: 1,
+								}
+							)
+					);
+				}
+
+				// Add club-active-member tag
+				await addClubActiveMemberTag(shCustomer, shopifyService);
+
+				// Audit log
+				await recordAuditEntry({
+					connection,
+					actor: getAuditActor(req),
+					action: 'gift_redeemed',
+					subscriptionId: subscription.id,
+					cbCustomerId,
+					after: subscription.meta_data || pObj.meta_data,
+					changes: {
+						plan_id: subscription.plan_id || pObj.plan_id,
+						gift_code: gift.code,
+						start_month: startMonth,
+					},
+					requestId: getRequestId(req),
+				});
+
+				// Commit
+				await connection.commit();
+			} catch (err) {
+				await connection.rollback();
+				await compensationLog.compensate(err);
+				throw err;
+			} finally {
+				connection.release();
+			}
+
+			return res.status(200).send({
+				success: true,
+				subscription_id: cbSubscriptionId,
+				start_date: Math.floor(startDt.toSeconds()),
+			});
+		} catch (error) {
+			return next(error);
+		}
+	}
+
+	// Apply a Chargebee subscription event on inventory and the swaps dashboard
+	// Returns the outcome -> processed or inventory_already_applied
+	async function applyChargebeeSubscriptionEvent(obj) {
+		const { connection, eventType, subscription, requestId } = obj;
+
+		// Upgraded meta_data -> malformed meta_data is reported
+		const { metaData, errors } = readMetaData(subscription.meta_data);
+
+		if (errors.length > 0) {
+			await reportMalformedSubscriptions({
+				malformed: [
+					{
+						subscription_id: subscription.id,
+						cb_customer_id: get(subscription, 'customer_id', null),
+						status: get(subscription, 'status', null),
+						errors,
+					},
+				],
+				requestId,
+			});
+		}
+
+		const productId = get(metaData, 'product.id', false);
+		const isSwappedProduct = get(metaData, 'product.swapped', false);
+		const productTrack = get(metaData, 'product.track', false);
+		const subscriptionType = getSubscriptionType(subscription);
+
+		// SELECT current ROTM
+		const { swapWindow, currentRotmId } = await fetchCurrentROTM({
+			connection,
+		});
+
+		// Cancellation analytics -> e.g. cancelled for non-payment
+		if (eventType === 'subscription_cancelled') {
+			await recordCancellation({
+				connection,
+				currentRotmId,
+				subscription: { ...subscription, meta_data: metaData },
+				type: subscriptionType,
+				reason: get(subscription, 'cancel_reason', null),
+				source: 'chargebee',
+				requestId,
+			});
+		}
+
+		// Inventory is only tracked while the swap window is open
+		const tracksInventory = swapWindow === 'opened' && !!productId;
+		let inventoryApplied = false;
+
+		if (
+			tracksInventory &&
+			['subscription_cancelled', 'subscription_reactivated'].includes(
+				eventType
+			)
+		) {
+			// Last return/take back of the subscription's record on this ROTM
+			// e.g. a cancellation made through this controller already
+			// returned the record
+			const [lRows] = await connection.query(
+				`SELECT reason
+                    FROM rotms_swap_products_ledger
+                    WHERE subscription_id = ? AND rotm = ? AND reason IN (?)
+                    ORDER BY id DESC
+                    LIMIT 0,1`,
+				[
+					subscription.id,
+					currentRotmId,
+					[...RECORD_RETURNED_REASONS, ...RECORD_TAKEN_BACK_REASONS],
+				]
+			);
+
+			const isRecordReturned = RECORD_RETURNED_REASONS.includes(
+				get(lRows, '[0].reason', null)
+			);
+
+			// Cancelled -> return the record once
+			// Reactivated -> take back a returned record only
+			inventoryApplied =
+				eventType === 'subscription_cancelled'
+					? isRecordReturned
+					: !isRecordReturned;
+		}
+
+		if (
+			tracksInventory &&
+			!inventoryApplied &&
+			['subscription_cancelled', 'subscription_reactivated'].includes(
+				eventType
+			)
+		) {
+			await updateCancelledSubscriptionInventory({
+				connection,
+				currentRotmId,
+				productId,
+				isSwappedProduct,
+				subscriptionId: subscription.id,
+				requestId,
+				reason: `chargebee_${eventType}`,
+				reactivated: eventType === 'subscription_reactivated',
+			});
+
+			// Update swap analysis
+			// Trigger Message via Socket
+			await socketService.triggerMessage(
+				'swaps-dashboard',
+				'refresh-cancellations',
+				{
+					track: productTrack,
+					type: subscriptionType,
+				}
+			);
+		}
+
+		if (
+			tracksInventory &&
+			eventType === 'subscription_changed' &&
+			productTrack
+		) {
+			// Add to Queue -> Sync Swaps Analysis
+			const VMPQueue = new RedisUtil.VMPQueue();
+			await VMPQueue.addToQueue(
+				'sync_swap_analysis_job',
+				{
+					track: productTrack,
+					subscription_id: subscription.id,
+					planChanged: true,
+				},
+				5
+			);
+		}
+
+		// Audit log -> event payload only has the state after the change
+		await recordAuditEntry({
+			connection,
+			actor: { type: 'system', id: 'chargebee_webhook' },
+			action: `chargebee_${eventType}`,
+			subscriptionId: subscription.id,
+			cbCustomerId: get(subscription, 'customer_id', null),
+			after: metaData,
+			changes: {
+				status: get(subscription, 'status', null),
+				plan_id: get(subscription, 'plan_id', null),
+			},
+			requestId,
+		});
+
+		return inventoryApplied ? 'inventory_already_applied' : 'processed';
+	}
+
+	// Chargebee webhook
+	// - keeps inventory and the swaps dashboard in sync with changes made on Chargebee
+	// - inventory changes already on the ledger (e.g. made through this
+	//   controller) are not applied twice
+	// - duplicate events are skipped
+	// - events of a subscription are processed one at a time and events
+	//   older than the last received one are skipped
+	async function handleChargebeeWebhook(req, res, next) {
+		try {
+			const {
+				id: eventId,
+				event_type: eventType,
+				occurred_at: occurredAt,
+				source,
+				content,
+			} = req.body;
+
+			const subscription = get(content, 'subscription', false);
+
+			// Unhandled event -> acknowledge
+			if (
+				!CHARGEBEE_WEBHOOK_EVENTS.includes(eventType) ||
+				!subscription ||
+				!subscription.id
+			) {
+				return res.status(200).send({ success: true, ignored: true });
+			}
+
+			const respObj = { success: true };
+			const lockName = `chargebee_webhook_${subscription.id}`;
+
+			// Connect to DB
+			const pool = DB.getInstance();
+			const connection = await pool.getConnection();
+
+			try {
+				// Process subscription's events one at a time
+				const [[{ locked }]] = await connection.query(
+					'SELECT GET_LOCK(?, 10) AS locked',
+					[lockName]
+				);
+
+				if (locked !== 1) {
+					const err = new Error(
+						`Chargebee event is locked (event_id: ${eventId}, subscription_id: ${subscription.id}).`
+					);
+					err.status = 409;
+					throw err;
+				}
+
+				// Begin Transaction
+				await connection.beginTransaction();
+
+				try {
+					// INSERT event -> duplicate events are skipped
+					const [{ affectedRows }] = await connection.query(
+						'INSERT IGNORE INTO chargebee_webhook_events SET ?',
+						[
+							{
+								event_id: eventId,
+								event_type: eventType,
+								subscription_id: subscription.id,
+								source: source || null,
+								occurred_at: occurredAt,
+								outcome: 'processed',
+								created_at: getCurrentTS(),
+								status: 1,
+							},
+						]
+					);
+
+					if (!affectedRows) {
+						respObj.duplicate = true;
+					} else {
+						// SELECT last received event of the subscription
+						const [lRows] = await connection.query(
+							`SELECT MAX(occurred_at) AS last_occurred_at
+                                FROM chargebee_webhook_events
+                                WHERE subscription_id = ? AND event_id != ? AND outcome != 'out_of_order'`,
+							[subscription.id, eventId]
+						);
+
+						const lastOccurredAt = get(
+							lRows,
+							'[0].last_occurred_at',
+							null
+						);
+
+						let outcome = 'processed';
+
+						if (lastOccurredAt && lastOccurredAt > occurredAt) {
+							outcome = 'out_of_order';
+						} else {
+							outcome = await applyChargebeeSubscriptionEvent({
+								connection,
+								eventType,
+								subscription,
+								requestId: getRequestId(req),
+							});
+						}
+
+						if (outcome !== 'processed') {
+							await connection.query(
+								'UPDATE chargebee_webhook_events SET outcome = ? WHERE event_id = ? LIMIT 1',
+								[outcome, eventId]
+							);
+						}
+
+						respObj.outcome = outcome;
+					}
+
+					// Commit
+					await connection.commit();
+
+					// Waitlist offers of the request -> email
+					await queueSwapWaitlistOfferEmails({
+						requestId: getRequestId(req),
+					});
+				} catch (err) {
+					await connection.rollback();
+					throw err;
+				}
+			} finally {
+				await connection
+					.query('SELECT RELEASE_LOCK(?)', [lockName])
+					.catch(() => null);
+				connection.release();
+			}
+
+			return res.status(200).send(respObj);
+		} catch (error) {
+			return next(error);
+		}
+	}
+
+	// Shopify customers/update webhook
+	// - a member who moved between the USA and abroad is switched to the
+	//   matching plan (primary and addons) at the next renewal
+	// - the member is notified by email whenever a subscription is switched
+	// - duplicate deliveries are skipped (shopify_webhook_events)
+	async function handleShopifyCustomerUpdate(req, res, next) {
+		const webhookId = req.get('X-Shopify-Webhook-Id');
+		let isWebhookRecorded = false;
+
+		try {
+			// Duplicate deliveries are skipped
+			if (webhookId) {
+				const pool = DB.getInstance();
+				const [{ affectedRows }] = await pool.query(
+					'INSERT IGNORE INTO shopify_webhook_events SET ?',
+					[
+						{
+							webhook_id: webhookId,
+							topic: req.get('X-Shopify-Topic') || null,
+							created_at: getCurrentTS(),
+						},
+					]
+				);
+
+				if (!affectedRows) {
+					return res
+						.status(200)
+						.send({ success: true, duplicate: true });
+				}
+
+				isWebhookRecorded = true;
+			}
+
+			const {
+				email,
+				first_name: firstName,
+				last_name: lastName,
+			} = req.body;
+			const countryCode = get(
+				req.body,
+				'default_address.country_code',
+				''
+			);
+
+			if (!email || !countryCode) {
+				return res.status(200).send({ success: true, ignored: true });
+			}
+
+			const addressRegion = getRegionForCountry(countryCode);
+
+			// GET Chargebee customer
+			const { customer: cbCustomer } =
+				await chargebeeService.getCBCustomerByEmail(email);
+
+			if (!cbCustomer || !cbCustomer.id) {
+				return res.status(200).send({ success: true, ignored: true });
+			}
+
+			const subscriptions =
+				await chargebeeService.getCBCustomerSubscriptions(
+					cbCustomer.id
+				);
+
+			// Normalize
+			const {
+				primarySubscription,
+				subscriptions: normalizedSubscriptions,
+			} = await normalizeCustomerSubscriptions({
+				subscriptions,
+				requestId: getRequestId(req),
+			});
 
-					// UPDATE Current ROTM record inventory
-					// existingsub - 1
-					// swap + 1
-					const [{ affectedRows }] = await connection.query(
-						`UPDATE rotms_swap_products
-                            SET available_existingsub_quantity = available_existingsub_quantity - 1,
-                                available_swap_quantity = available_swap_quantity + 1,
-                                updated_at = current_timestamp
-                            WHERE rotm = ? AND product_id = ? AND status = 1`,
-						[rotmId, swappedProductId]
-					);
+			if (
+				!primarySubscription ||
+				!['active', 'future'].includes(primarySubscription.status)
+			) {
+				return res.status(200).send({ success: true, ignored: true });
+			}
 
-					if (affectedRows !== 1) {
-						const err = new Error(
-							`Inventory was not updated (current_product_id: ${swappedProductId}).`
-						);
-						err.status = 500;
-						throw err;
-					}
+			// Plan on next renewal -> scheduled change (if any) or the current plan
+			let renewalPlanId = primarySubscription.plan_id;
 
-					// UPDATE Selected Record inventory
-					// swap - 1
-					await connection.query(
-						`UPDATE rotms_swap_products
-                            SET available_swap_quantity = available_swap_quantity - 1,
-                                updated_at = current_timestamp
-                            WHERE rotm = ? AND product_id = ? AND available_swap_quantity > 0 AND status = 1`,
-						[rotmId, productId]
+			if (primarySubscription.has_scheduled_changes) {
+				const { subscription: subWithChanges } =
+					await chargebeeService.getCBSubscriptionWithChanges(
+						primarySubscription.id
 					);
 
-					// Commit
-					await connection.commit();
-				}
-
-				// Subscription meta_data
-				const pObj = {
-					meta_data: {
-						new: false,
-						type,
-						product: {
-							id: productId,
-							variant_id: variantId,
-							track: track.toLowerCase(),
-							swapped: true,
-							swapped_date: Math.floor(
-								DateTime.local().toSeconds()
-							),
-						},
-					},
-				};
+				renewalPlanId = get(subWithChanges, 'plan_id', renewalPlanId);
+			}
 
-				// Add gift meta_data -> if any
-				if (customerId) {
-					pObj.meta_data.customer_id = customerId;
-				}
+			// Every subscription is compared on its own region, so a retry
+			// switches whatever is left from a failed delivery
+			// Plans without a region (legacy) are left as they are
+			const isOtherRegion = (planId) => {
+				const planRegion = getPlanRegion(planId);
 
-				if (giftCode) {
-					pObj.meta_data.gift_code = giftCode;
-				}
+				return !!planRegion && planRegion.id !== addressRegion.id;
+			};
+			const isPrimarySwitched = isOtherRegion(renewalPlanId);
+
+			// Addon subscriptions of another region
+			const addonSubscriptions = normalizedSubscriptions
+				.map((f) => f.subscription)
+				.filter(
+					(f) =>
+						// eslint-disable-next-line implicit-arrow-linebreak
+						f &&
+						['active', 'future'].includes(f.status) &&
+						getSubscriptionType(f) === 'addon' &&
+						isOtherRegion(f.plan_id)
+				);
 
-				if (giftBundle) {
-					pObj.meta_data.gift_bundle = giftBundle;
-				}
+			// Same region -> nothing to do
+			if (!isPrimarySwitched && addonSubscriptions.length === 0) {
+				return res.status(200).send({ success: true, ignored: true });
+			}
 
-				if (gifterCustomerId) {
-					pObj.meta_data.gifter_customer_id = gifterCustomerId;
-				}
+			// Matching plan for the new region
+			let regionPlanId = null;
 
-				if (gifterOrderId) {
-					pObj.meta_data.gifter_order_id = gifterOrderId;
-				}
+			if (isPrimarySwitched) {
+				regionPlanId = getRegionPlanId(renewalPlanId, addressRegion);
 
-				// Update CB subscription with the new meta_data
-				const {
-					subscription: updatedCBSubscription,
-					customer: cbCustomer,
-				} = await chargebeeService.updateCBCustomerSubscription(
-					cbSubscriptionId,
-					pObj
+				const regionPlan = await chargebeeService.getCBPlan(
+					regionPlanId
 				);
 
-				// Validate
-				if (!updatedCBSubscription || !updatedCBSubscription.id) {
+				if (!regionPlan) {
 					const err = new Error(
-						`Subscription was not updated (swapSubscriptionRecord) (subscription_id: ${cbSubscriptionId}).`
+						`Plan was not found on Shopify customer update (plan_id: ${regionPlanId}, customer_id: ${cbCustomer.id}).`
 					);
 					err.status = 500;
 					throw err;
 				}
+			}
 
-				// Initialize queue
-				const VMPQueue = new RedisUtil.VMPQueue();
+			// Matching addon plan for the new region
+			let regionAddonPlanId = null;
 
-				// Add to Queue -> Sync Swaps Analysis
-				await VMPQueue.addToQueue(
-					'sync_swap_analysis_job',
-					{
-						track,
-						subscription_id: updatedCBSubscription.id,
-						swappedProductId,
-						swapProductId: productId,
-						isSwapForCredit,
-					},
-					5
-				);
+			if (addonSubscriptions.length > 0) {
+				const { list: addonPlans } =
+					await chargebeeService.getCBAddonPlans();
 
-				// Add to Queue -> Adjust Shopify inventory after swap
-				// Triggers multiple jobs
-				await VMPQueue.addToQueue(
-					'adjust_inventory_after_swap_job',
+				regionAddonPlanId = findAddonPlanId(addonPlans, addressRegion);
+			}
+
+			// Switch addon subscriptions at the next renewal
+			// Addons go first -> the primary's region is the last one to change
+			await Promise.all(
+				addonSubscriptions.map((addon) =>
+					// eslint-disable-next-line implicit-arrow-linebreak
+					chargebeeService.updateCBCustomerSubscription(addon.id, {
+						plan_id: regionAddonPlanId,
+						end_of_term: addon.status !== 'future',
+					})
+				)
+			);
+
+			// Switch primary subscription at the next renewal
+			if (isPrimarySwitched) {
+				await chargebeeService.updateCBCustomerSubscription(
+					primarySubscription.id,
 					{
-						swappedProductId,
-						swapProductId: productId,
-						swapVariantId: variantId,
-					},
-					5
+						plan_id: regionPlanId,
+						end_of_term: primarySubscription.status !== 'future',
+					}
 				);
+			}
 
-				// Send swap confirmation email
-				const firstName = get(cbCustomer, 'first_name', '');
-				const lastName = get(cbCustomer, 'last_name', '');
-				const email = get(cbCustomer, 'email', null);
-
-				if (email) {
-					// Add to queue
-					await VMPQueue.addToQueue(
-						'send_swap_confirmation_email_job',
-						{
-							first_name: firstName,
-							last_name: lastName,
-							email,
-							product_id: productId,
-							variant_id: variantId,
-							track,
-							title,
-							vendor,
-							image,
-							handle,
-							is_swap_for_credit: isSwapForCredit,
+			// Audit log
+			// Region is on the plan -> meta_data doesn't change
+			const actor = { type: 'system', id: 'shopify_customer_update' };
+			const switchedSubscriptions = isPrimarySwitched
+				? [primarySubscription, ...addonSubscriptions]
+				: addonSubscriptions;
+			await Promise.all(
+				switchedSubscriptions.map((f) =>
+					// eslint-disable-next-line implicit-arrow-linebreak
+					recordAuditEntry({
+						actor,
+						action: 'plan_region_changed',
+						subscriptionId: f.id,
+						cbCustomerId: cbCustomer.id,
+						changes: {
+							plan_id: {
+								from:
+									f.id === primarySubscription.id
+										? renewalPlanId
+										: f.plan_id,
+								to:
+									f.id === primarySubscription.id
+										? regionPlanId
+										: regionAddonPlanId,
+							},
+							end_of_term: f.status !== 'future',
 						},
-						5
-					);
-				}
-			} catch (err) {
-				await connection.rollback();
-				throw err;
-			} finally {
-				connection.release();
-			}
+						requestId: getRequestId(req),
+					})
+				)
+			);
 
-			success = true;
-			return res
-				.status(200)
-				.send({ success, is_swap_for_credit: isSwapForCredit });
+			// Add to Queue -> Notify member
+			// Sent on every switch, e.g. addons left from a failed delivery
+			// Effective on the first switched subscription's next renewal
+			const effectiveDate = Math.min(
+				...switchedSubscriptions.map((f) =>
+					// eslint-disable-next-line implicit-arrow-linebreak
+					f.status === 'future' ? f.start_date : f.next_billing_at
+				)
+			);
+			const VMPQueue = new RedisUtil.VMPQueue();
+			await VMPQueue.addToQueue(
+				'send_plan_region_change_email_job',
+				{
+					first_name: firstName,
+					last_name: lastName,
+					email,
+					previous_plan_id: isPrimarySwitched ? renewalPlanId : null,
+					plan_id: regionPlanId,
+					addons: addonSubscriptions.length,
+					effective_date: effectiveDate,
+				},
+				5
+			);
+
+			return res.status(200).send({
+				success: true,
+				plan_id: regionPlanId,
+				addons: addonSubscriptions.length,
+			});
 		} catch (error) {
+			// Failed deliveries are processed again on Shopify's retry
+			if (isWebhookRecorded) {
+				await DB.getInstance()
+					.query(
+						'DELETE FROM shopify_webhook_events WHERE webhook_id = ? LIMIT 1',
+						[webhookId]
+					)
+					.catch(() => null);
+			}
+
 			return next(error);
 		}
 	}
@@ -1630,52 +6477,18 @@ function subscriptionsController(shopifyService, chargebeeService) {
 		try {
 			const { subscriptionId: cbSubscriptionId } = req.query;
 
-			// Validate id
-			if (!cbSubscriptionId) {
-				const err = new Error('Subscription not found.');
-				err.status = 404;
-				throw err;
-			}
-
 			const estimate =
 				await chargebeeService.getCBSubscriptionRenewalEstimate(
 					cbSubscriptionId
 				);
 
-			const discounts = get(
-				estimate,
-				'invoice_estimate.discounts',
-				false
-			);
-			let subtotalAfterDiscounts = get(
-				estimate,
-				'invoice_estimate.sub_total',
-				false
-			);
-			if (discounts) {
-				discounts.forEach((discount) => {
-					if (discount.description.includes('PROMO')) {
-						subtotalAfterDiscounts -= discount.amount;
-						discount.description = 'Renewal Offer';
-					}
-					if (discount.description.includes('Promotional Credits')) {
-						subtotalAfterDiscounts -= discount.amount;
-						discount.description = 'Membership Credits';
-					}
-				});
-			}
-
 			const estimateObj = {
 				subscriptionId: get(
 					estimate,
 					'subscription_estimate.id',
 					false
 				),
-				subtotal: get(estimate, 'invoice_estimate.sub_total', false),
-				subtotalAfterDiscounts,
-				discounts: get(estimate, 'invoice_estimate.discounts', false),
-				total: get(estimate, 'invoice_estimate.total', false),
-				taxes: get(estimate, 'invoice_estimate.taxes', false),
+				...formatInvoiceEstimate(get(estimate, 'invoice_estimate', {})),
 			};
 
 			return res.status(200).send({ success: true, estimateObj });
@@ -1689,13 +6502,6 @@ function subscriptionsController(shopifyService, chargebeeService) {
 		try {
 			const { subscriptionId: cbSubscriptionId } = req.query;
 
-			// Validate id
-			if (!cbSubscriptionId) {
-				const err = new Error('Subscription not found.');
-				err.status = 404;
-				throw err;
-			}
-
 			let invoiceURL = '';
 
 			const invoice = await chargebeeService.getCBLatestInvoice(
@@ -1717,20 +6523,178 @@ function subscriptionsController(shopifyService, chargebeeService) {
 		}
 	}
 
-	// Swaps Feedback
-	async function submitSwapsFeedback(req, res, next) {
+	// GET billing history -> invoices and credit notes of the member's subscriptions
+	// - merged newest first, paginated with next_offset (a cursor on both lists)
+	// - type narrows the history to invoices or credit notes
+	// - subscription_id narrows the history to one subscription
+	async function getBillingHistory(req, res, next) {
 		try {
-			const { email, rating, text } = req.body;
+			const {
+				customer_id: cbCustomerId,
+				subscription_id: cbSubscriptionId,
+				type,
+				offset,
+			} = req.query;
+			const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+			const types = type ? [type] : BILLING_DOCUMENT_TYPES;
+
+			// Position on each list
+			const cursors = offset
+				? decodeBillingCursor(offset)
+				: types.reduce((acc, f) => {
+						acc[f] = { offset: null, skip: 0 };
+						return acc;
+				  }, {});
+
+			// Chargebee list filters
+			const params = {
+				'customer_id[is]': cbCustomerId,
+				'sort_by[desc]': 'date',
+			};
 
-			// Validate
-			if (!email || !rating) {
-				const err = new Error(
-					'Missing params on swap feedback submission.'
+			if (cbSubscriptionId) {
+				params['subscription_id[is]'] = cbSubscriptionId;
+			}
+
+			// GET a page of each list from its cursor
+			const pages = await Promise.all(
+				types
+					.filter((f) => cursors[f])
+					.map(async (docType) => {
+						const skip = parseInt(cursors[docType].skip, 10) || 0;
+						const pageParams = {
+							...params,
+							limit: Math.min(limit + skip, 100),
+						};
+
+						if (cursors[docType].offset) {
+							pageParams.offset = cursors[docType].offset;
+						}
+
+						const { list, next_offset: nextOffset } =
+							docType === 'credit_note'
+								? await chargebeeService.getCBCreditNotes(
+										pageParams
+								  )
+								: await chargebeeService.getCBInvoices(
+										pageParams
+								  );
+
+						return {
+							type: docType,
+							offset: cursors[docType].offset || null,
+							skip,
+							length: (list || []).length,
+							nextOffset: nextOffset || null,
+							documents: (list || [])
+								.slice(skip)
+								.map((f) =>
+									formatBillingDocument(docType, f[docType])
+								),
+							listed: 0,
+						};
+					})
+			);
+
+			// Merge newest first
+			// A list whose page ran out but has more pages stops the merge ->
+			// its next documents may be newer than the other lists' ones
+			const documents = [];
+
+			while (documents.length < limit) {
+				const remaining = pages.filter(
+					(f) => f.listed < f.documents.length
 				);
-				err.status = 422;
+
+				if (
+					remaining.length === 0 ||
+					pages.some(
+						(f) => f.listed === f.documents.length && f.nextOffset
+					)
+				) {
+					break;
+				}
+
+				const page = remaining.reduce((acc, f) =>
+					// eslint-disable-next-line implicit-arrow-linebreak
+					f.documents[f.listed].date > acc.documents[acc.listed].date
+						? f
+						: acc
+				);
+
+				documents.push(page.documents[page.listed]);
+				page.listed += 1;
+			}
+
+			// Next position on each list
+			const nextCursors = pages.reduce((acc, f) => {
+				if (f.skip + f.listed < f.length) {
+					acc[f.type] = { offset: f.offset, skip: f.skip + f.listed };
+				} else if (f.nextOffset) {
+					acc[f.type] = { offset: f.nextOffset, skip: 0 };
+				}
+
+				return acc;
+			}, {});
+
+			return res.status(200).send({
+				success: true,
+				documents,
+				limit,
+				next_offset:
+					Object.keys(nextCursors).length > 0
+						? encodeBillingCursor(nextCursors)
+						: null,
+			});
+		} catch (error) {
+			return next(error);
+		}
+	}
+
+	// Download a single invoice or credit note of the member
+	async function downloadBillingDocument(req, res, next) {
+		try {
+			const {
+				customer_id: cbCustomerId,
+				document_id: documentId,
+				type = 'invoice',
+			} = req.query;
+
+			const result =
+				type === 'credit_note'
+					? await chargebeeService.getCBCreditNote(documentId)
+					: await chargebeeService.getCBInvoice(documentId);
+			const document = get(result, type, false);
+
+			// Document must belong to the member
+			if (!document || get(document, 'customer_id') !== cbCustomerId) {
+				const err = new Error('Billing document was not found.');
+				err.status = 404;
 				throw err;
 			}
 
+			const documentURL =
+				type === 'credit_note'
+					? await chargebeeService.getCBCreditNoteDownloadURL(
+							documentId
+					  )
+					: await chargebeeService.getCBInvoiceDownloadURL(
+							documentId
+					  );
+
+			return res.status(200).send({ success: true, documentURL });
+		} catch (error) {
+			return next(error);
+		}
+	}
+
+	// Swaps Feedback
+	// - one feedback per member and record month
+	// - a new rating/text on the same month revises it, earlier versions are kept in history
+	async function submitSwapsFeedback(req, res, next) {
+		try {
+			const { email, rating, text } = req.body;
+
 			// Connect to DB
 			const pool = DB.getInstance();
 			const connection = await pool.getConnection();
@@ -1741,39 +6705,109 @@ function subscriptionsController(shopifyService, chargebeeService) {
 
 			try {
 				const ratingValue = rating === 'positive' ? 1 : 0;
-				const dateNow = DateTime.local().plus({ month: 1 });
-				const month = dateNow.toFormat('MM');
-				const year = dateNow.toFormat('yyyy');
-				const month_name = dateNow.toFormat('MMMM');
+				const { month, year, monthName: month_name } = getRecordMonth();
 
 				// SELECT -> check if entry already added
 				const [rows] = await connection.query(
-					'SELECT id FROM swaps_feedback WHERE email = ? AND month = ? AND year = ? LIMIT 0,1',
+					`SELECT id, rating, text, version, created_at, updated_at
+                        FROM swaps_feedback
+                        WHERE email = ? AND month = ? AND year = ? AND status = 1
+                        LIMIT 0,1
+                        FOR UPDATE`,
 					[email, month, year]
 				);
 
-				// Early return -> record already added
+				// Entry already added -> revise it and keep the earlier version
 				if (rows && rows.length > 0) {
-					//     const id = get(rows, '[0].id', false);
+					const [current] = rows;
+					// Revision without text -> keeps the earlier text
+					const textValue =
+						text === undefined
+							? current.text || null
+							: text || null;
+
+					// Same rating and text -> nothing to revise
+					if (
+						current.rating === ratingValue &&
+						(current.text || null) === textValue
+					) {
+						// Commit
+						await connection.commit();
+
+						return res
+							.status(200)
+							.send({ success: true, already_added: true });
+					}
+
+					const version = (current.version || 1) + 1;
 
-					//     // UPDATE updated_at date
-					//     const [{ affectedRows }] = await connection.query(
-					//         'UPDATE swaps_feedback SET ? WHERE id = ? LIMIT 1',
-					//         [{ updated_at: getCurrentTS(), status: 1 }, id]
-					//     );
+					// INSERT earlier version into history
+					await connection.query(
+						'INSERT INTO swaps_feedback_history SET ?',
+						[
+							{
+								swaps_feedback_id: current.id,
+								version: current.version || 1,
+								rating: current.rating,
+								text: current.text,
+								created_at:
+									current.updated_at || current.created_at,
+								replaced_at: getCurrentTS(),
+							},
+						]
+					);
+
+					// UPDATE current version
+					const [{ affectedRows }] = await connection.query(
+						'UPDATE swaps_feedback SET ? WHERE id = ? LIMIT 1',
+						[
+							{
+								rating: ratingValue,
+								text: textValue,
+								version,
+								updated_at: getCurrentTS(),
+							},
+							current.id,
+						]
+					);
+
+					if (affectedRows !== 1) {
+						const err = new Error(
+							`Swaps Feedback record was not updated for ${email}.`
+						);
+						err.status = 500;
+						throw err;
+					}
 
-					//     if (affectedRows !== 1) {
-					//         const err = new Error(`Waitlist record was not updated for ${email} (product_id: ${productId}).`);
-					//         err.status = 500;
-					//         throw err;
-					//     }
+					// Metafield (feedback given for the month) was set with
+					// the first version -> unchanged on revisions
 
 					// Commit
 					await connection.commit();
 
+					const VMPQueue = new RedisUtil.VMPQueue();
+					await VMPQueue.addToQueue('swaps-feedback-job', {
+						swapFeedback: {
+							id: current.id,
+							email: email.toLowerCase().trim(),
+							rating: ratingValue,
+							text: textValue,
+							month,
+							month_name,
+							year,
+							version,
+						},
+						previousVersion: {
+							rating: current.rating,
+							text: current.text,
+							version: current.version || 1,
+						},
+						revised: true,
+					});
+
 					return res
 						.status(200)
-						.send({ success: true, already_added: true });
+						.send({ success: true, revised: true, version });
 				}
 
 				// Check if Shopify customer exists
@@ -1800,6 +6834,29 @@ function subscriptionsController(shopifyService, chargebeeService) {
 					cbCustomerId = cbCustomer.id;
 				}
 
+				// Member's primary subscription and the feedback's ROTM
+				// -> swaps report matches the feedback with swap_history
+				let cbSubscriptionId = null;
+
+				if (cbCustomerId) {
+					const subscriptions =
+						await chargebeeService.getCBCustomerSubscriptions(
+							cbCustomerId
+						);
+
+					const { primarySubscription } =
+						await normalizeCustomerSubscriptions({
+							subscriptions: subscriptions || [],
+							requestId: getRequestId(req),
+						});
+
+					cbSubscriptionId = get(primarySubscription, 'id', null);
+				}
+
+				const { currentRotmId } = await fetchCurrentROTM({
+					connection,
+				});
+
 				// Fields to insert
 				const fields = {
 					email: email.toLowerCase().trim(),
@@ -1807,11 +6864,14 @@ function subscriptionsController(shopifyService, chargebeeService) {
 					last_name: lastName,
 					sh_customer_id: shCustomerId,
 					cb_customer_id: cbCustomerId,
+					subscription_id: cbSubscriptionId,
+					rotm: currentRotmId || null,
 					rating: ratingValue,
 					text,
 					month,
 					month_name,
 					year,
+					version: 1,
 					created_at: getCurrentTS(),
 					status: 1,
 				};
@@ -1858,7 +6918,8 @@ function subscriptionsController(shopifyService, chargebeeService) {
 
 				const VMPQueue = new RedisUtil.VMPQueue();
 				await VMPQueue.addToQueue('swaps-feedback-job', {
-					swapFeedback: { ...fields },
+					swapFeedback: { id: insertId, ...fields },
+					revised: false,
 				});
 
 				success = true;
@@ -1875,19 +6936,204 @@ function subscriptionsController(shopifyService, chargebeeService) {
 		}
 	}
 
-	return {
-		getSubscriptions,
-		createSubscription,
-		updateSubscriptionTrack,
-		updateSubscriptionTerm,
-		cancelSubscription,
-		cancelAllSubscriptions,
-		reactivateSubscription,
-		swapSubscriptionRecord,
-		submitSwapsFeedback,
-		getRenewalEstimate,
-		downloadInvoice,
-	};
+	// GET swaps feedback report (admin)
+	// - positive/negative counts, percentages and comments by month
+	// - swapped=true|false -> only members who did (not) swap that month
+	//   feedback that can't be matched with swap_history (no subscription/ROTM
+	//   or given before swap_history existed) is reported as swapped: null
+	// - format=csv exports the summary, or the comments with export=comments
+	async function getSwapsFeedbackReport(req, res, next) {
+		try {
+			const {
+				year,
+				month,
+				swapped,
+				format,
+				export: exportType,
+			} = req.query;
+
+			// Member's subscription swapped on the feedback's ROTM
+			// 1 -> swapped, 0 -> not swapped, NULL -> unknown
+			const swappedSql = `(CASE
+                WHEN sf.subscription_id IS NULL OR sf.rotm IS NULL
+                    OR sf.created_at < (SELECT MIN(created_at) FROM swap_history)
+                    THEN NULL
+                WHEN EXISTS (
+                    SELECT 1 FROM swap_history sh
+                    WHERE sh.subscription_id = sf.subscription_id
+                        AND sh.rotm = sf.rotm AND sh.status = 1
+                ) THEN 1
+                ELSE 0
+            END)`;
+
+			// Filters
+			const conditions = ['sf.status = 1', 'sf.year = ?'];
+			const params = [String(year)];
+
+			if (month) {
+				conditions.push('sf.month = ?');
+				params.push(String(month).padStart(2, '0'));
+			}
+
+			if (swapped !== undefined) {
+				conditions.push(`${swappedSql} = ${swapped === true ? 1 : 0}`);
+			}
+
+			const wsql = conditions.join(' AND ');
+
+			// Connect to DB
+			const pool = DB.getInstance();
+			const connection = await pool.getConnection();
+
+			let totals = [];
+			let comments = [];
+
+			try {
+				[totals] = await connection.query(
+					`SELECT sf.year, sf.month, sf.month_name,
+                        SUM(sf.rating = 1) AS positive,
+                        SUM(sf.rating = 0) AS negative,
+                        COUNT(sf.id) AS total
+                        FROM swaps_feedback sf
+                        WHERE ${wsql}
+                        GROUP BY sf.year, sf.month, sf.month_name
+                        ORDER BY sf.year DESC, sf.month DESC`,
+					params
+				);
+
+				[comments] = await connection.query(
+					`SELECT sf.id, sf.year, sf.month, sf.email, sf.first_name, sf.last_name,
+                        IF(sf.rating = 1, 'positive', 'negative') AS rating, sf.text,
+                        ${swappedSql} AS swapped, sf.created_at
+                        FROM swaps_feedback sf
+                        WHERE ${wsql} AND sf.text IS NOT NULL AND sf.text != ''
+                        ORDER BY sf.created_at DESC`,
+					params
+				);
+			} finally {
+				connection.release();
+			}
+
+			const percentage = (value, total) =>
+				// eslint-disable-next-line implicit-arrow-linebreak
+				total > 0 ? Math.round((value / total) * 1000) / 10 : 0;
+
+			const report = totals.map((row) => {
+				const positive = Number(row.positive) || 0;
+				const negative = Number(row.negative) || 0;
+				const total = Number(row.total) || 0;
+
+				return {
+					year: row.year,
+					month: row.month,
+					month_name: row.month_name,
+					positive,
+					negative,
+					total,
+					positive_percentage: percentage(positive, total),
+					negative_percentage: percentage(negative, total),
+					comments: comments
+						.filter(
+							(f) => f.year === row.year && f.month === row.month
+						)
+						.map((f) => ({
+							...f,
+							swapped: f.swapped === null ? null : !!f.swapped,
+						})),
+				};
+			});
+
+			if (format === 'csv' && exportType === 'comments') {
+				return sendCSV(
+					res,
+					`swaps-feedback-comments-${year}.csv`,
+					[
+						'year',
+						'month',
+						'email',
+						'first_name',
+						'last_name',
+						'rating',
+						'text',
+						'swapped',
+						'created_at',
+					],
+					comments.map((f) => ({
+						...f,
+						swapped: f.swapped === null ? '' : Number(f.swapped),
+					}))
+				);
+			}
+
+			if (format === 'csv') {
+				return sendCSV(
+					res,
+					`swaps-feedback-${year}.csv`,
+					[
+						'year',
+						'month',
+						'month_name',
+						'positive',
+						'negative',
+						'total',
+						'positive_percentage',
+						'negative_percentage',
+					],
+					report
+				);
+			}
+
+			return res.status(200).send({ success: true, report });
+		} catch (error) {
+			return next(error);
+		}
+	}
+
+	// Every handler runs behind its ownership rules and request schema
+	// The caller is authenticated before the request is validated
+	return withOwnershipChecks(
+		withRequestValidation({
+			getSubscriptions,
+			createSubscription: withIdempotencyKey(
+				'create_subscription',
+				createSubscription
+			),
+			updateSubscriptionTrack,
+			updateAddonSubscriptionTrack,
+			updateSubscriptionTerm,
+			previewSubscriptionTerm,
+			removeScheduledTermChange,
+			cancelSubscription,
+			pauseSubscription,
+			skipSubscriptionMonth,
+			getRetentionOffers,
+			respondToRetentionOffer,
+			cancelAllSubscriptions,
+			getCancellationAnalytics,
+			reactivateSubscription,
+			reserveSwapRecord,
+			sweepExpiredSwapReservations,
+			joinSwapWaitlist,
+			swapSubscriptionRecord: withIdempotencyKey(
+				'swap_subscription_record',
+				swapSubscriptionRecord
+			),
+			getSwapHistory,
+			getMembershipCredits,
+			getInventoryLedger,
+			getAuditLog,
+			reassignRotmProduct,
+			redeemGift: withIdempotencyKey('redeem_gift', redeemGift),
+			submitSwapsFeedback,
+			getSwapsFeedbackReport,
+			getRenewalEstimate,
+			downloadInvoice,
+			getBillingHistory,
+			downloadBillingDocument,
+			handleChargebeeWebhook,
+			handleShopifyCustomerUpdate,
+		})
+	);
 }
 
 module.exports = subscriptionsController;